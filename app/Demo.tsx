@@ -0,0 +1,260 @@
+'use client'
+
+import { useCallback, useEffect, useRef, useState } from 'react'
+
+// Building blocks for interactive demos in posts. The shell, buttons and
+// result boxes work straight from MDX; the hooks are for a post's
+// components.js, which imports them from here instead of rolling its own.
+
+export type LogLevel = 'info' | 'success' | 'warning' | 'error'
+
+export interface LogEntry {
+  time: string
+  message: string
+  level: LogLevel
+}
+
+// `undefined` until the component has mounted and checked.
+export type Support = 'native' | 'polyfill' | undefined
+
+export function Demo({
+  title,
+  description,
+  features,
+  children,
+}: {
+  title: string
+  description?: React.ReactNode
+  // Shown as badges, e.g. { 'Array.fromAsync': usePolyfill(...) }.
+  features?: Record<string, Support>
+  children: React.ReactNode
+}) {
+  return (
+    <section className="-mx-4 my-8 flex flex-col gap-4 rounded-xl border border-gray-300 dark:border-gray-600 p-4 text-[15px] leading-6 sm:p-5">
+      <header className="flex flex-row flex-wrap items-start justify-between gap-2">
+        <div>
+          <h3 className="text-lg font-bold text-[--title]">{title}</h3>
+          {description && <p className="mt-1 opacity-80">{description}</p>}
+        </div>
+        {features && (
+          <ul className="flex flex-row flex-wrap gap-2 text-xs">
+            {Object.entries(features).map(([name, support]) => (
+              <FeatureBadge key={name} name={name} support={support} />
+            ))}
+          </ul>
+        )}
+      </header>
+      {children}
+    </section>
+  )
+}
+
+function FeatureBadge({ name, support }: { name: string; support: Support }) {
+  if (!support) {
+    return null
+  }
+  return (
+    <li
+      title={
+        support === 'native'
+          ? `Your browser supports ${name}`
+          : `Your browser lacks ${name}, the demo uses a polyfill`
+      }
+      className={`rounded-full px-2 py-0.5 font-mono ${
+        support === 'native'
+          ? 'bg-green-500/15 text-green-700 dark:text-green-300'
+          : 'bg-amber-500/15 text-amber-700 dark:text-amber-300'
+      }`}
+    >
+      {name}: {support}
+    </li>
+  )
+}
+
+export function DemoButton({
+  variant = 'primary',
+  className = '',
+  ...props
+}: React.ComponentProps<'button'> & { variant?: 'primary' | 'secondary' }) {
+  return (
+    <button
+      type="button"
+      className={`rounded-full px-4 py-1.5 text-sm font-semibold transition-opacity disabled:cursor-not-allowed disabled:opacity-50 ${
+        variant === 'primary'
+          ? 'bg-[--link] text-white hover:opacity-90'
+          : 'border border-gray-300 dark:border-gray-600 hover:bg-[--inlineCode-bg]'
+      } ${className}`}
+      {...props}
+    />
+  )
+}
+
+export function DemoButtons({ children }: { children: React.ReactNode }) {
+  return <div className="flex flex-row flex-wrap gap-2">{children}</div>
+}
+
+const levelColors: Record<LogLevel, string> = {
+  info: 'text-gray-700 dark:text-gray-300',
+  success: 'text-green-700 dark:text-green-400',
+  warning: 'text-amber-700 dark:text-amber-400',
+  error: 'text-red-700 dark:text-red-400',
+}
+
+export function DemoLog({
+  entries,
+  title = 'Console',
+}: {
+  entries: LogEntry[]
+  title?: string
+}) {
+  const end = useRef<HTMLDivElement>(null)
+  // Follow new entries without scrolling the whole page.
+  useEffect(() => {
+    const panel = end.current?.parentElement
+    if (panel && entries.length > 0) {
+      panel.scrollTop = panel.scrollHeight
+    }
+  }, [entries])
+  if (entries.length === 0) {
+    return null
+  }
+  return (
+    <div
+      role="log"
+      aria-label={title}
+      className="max-h-72 overflow-y-auto rounded-lg bg-[--code-bg] p-4 font-mono text-[13px] leading-6"
+    >
+      <div className="mb-1 font-bold text-gray-500 dark:text-gray-400">
+        {title}
+      </div>
+      {entries.map((entry, i) => (
+        // biome-ignore lint/suspicious/noArrayIndexKey: the log only grows
+        <div key={i} className={levelColors[entry.level]}>
+          <span className="mr-2 text-gray-500">[{entry.time}]</span>
+          {entry.message}
+        </div>
+      ))}
+      <div ref={end} />
+    </div>
+  )
+}
+
+const resultTones = {
+  success: 'border-green-500',
+  warning: 'border-amber-500',
+  error: 'border-red-500',
+  neutral: 'border-gray-300 dark:border-gray-600',
+}
+
+export function DemoResult({
+  label,
+  tone = 'neutral',
+  children,
+}: {
+  label?: React.ReactNode
+  tone?: keyof typeof resultTones
+  children: React.ReactNode
+}) {
+  return (
+    <div className={`rounded-lg border-2 p-3 ${resultTones[tone]}`}>
+      {label && <div className="mb-1 text-sm font-bold">{label}</div>}
+      <div className="break-words">{children}</div>
+    </div>
+  )
+}
+
+export function useDemoLog() {
+  const [entries, setEntries] = useState<LogEntry[]>([])
+  const log = useCallback((message: string, level: LogLevel = 'info') => {
+    const time = new Date().toLocaleTimeString()
+    setEntries((entries) => [...entries, { time, message, level }])
+  }, [])
+  const clear = useCallback(() => setEntries([]), [])
+  return { entries, log, clear }
+}
+
+export interface Steps {
+  // Logs `message` (if any), then pauses so readers can follow along.
+  step: (message?: string, level?: LogLevel) => Promise<void>
+  log: (message: string, level?: LogLevel) => void
+  wait: (ms: number) => Promise<void>
+}
+
+class Cancelled extends Error {}
+
+// Runs one script at a time with a fresh log. Starting another run or
+// unmounting cancels the current one at its next step. Thrown errors end up
+// in the log.
+export function useStepRunner({ delay = 500 }: { delay?: number } = {}) {
+  const { entries, log, clear } = useDemoLog()
+  const [isRunning, setIsRunning] = useState(false)
+  const current = useRef(0)
+
+  useEffect(() => {
+    return () => {
+      current.current++
+    }
+  }, [])
+
+  async function run(script: (steps: Steps) => unknown) {
+    const id = ++current.current
+    const check = () => {
+      if (current.current !== id) {
+        throw new Cancelled()
+      }
+    }
+    const wait = async (ms: number) => {
+      check()
+      await new Promise((resolve) => setTimeout(resolve, ms))
+      check()
+    }
+    const steps: Steps = {
+      step: async (message, level) => {
+        check()
+        if (message) {
+          log(message, level)
+        }
+        await wait(delay)
+      },
+      log: (message, level) => {
+        check()
+        log(message, level)
+      },
+      wait,
+    }
+    clear()
+    setIsRunning(true)
+    try {
+      await script(steps)
+    } catch (error: any) {
+      if (error instanceof Cancelled) {
+        return
+      }
+      log(`Error: ${error?.message ?? error}`, 'error')
+    }
+    setIsRunning(false)
+  }
+
+  return { entries, isRunning, run, clear }
+}
+
+const installed = new Set<unknown>()
+
+// Installs `polyfill` as `target[key]` when the browser doesn't have it yet,
+// so demos of new APIs run everywhere. Returns which one the page ended up
+// with, for a <Demo features> badge.
+export function usePolyfill(target: object, key: string, polyfill: unknown) {
+  const [support, setSupport] = useState<Support>()
+  useEffect(() => {
+    if (!(key in target)) {
+      Object.defineProperty(target, key, {
+        value: polyfill,
+        writable: true,
+        configurable: true,
+      })
+      installed.add(polyfill)
+    }
+    setSupport(installed.has(target[key]) ? 'polyfill' : 'native')
+  }, [target, key, polyfill])
+  return support
+}
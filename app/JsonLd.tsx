@@ -0,0 +1,86 @@
+import {
+  type Post,
+  defaultLocale,
+  getPostImageUrl,
+  getPostPath,
+  metadata,
+} from './posts'
+
+const site_url = 'https://sulhadin.com'
+
+const author = {
+  '@type': 'Person',
+  '@id': `${site_url}/#author`,
+  name: 'Sulhadin Öney',
+  url: `${site_url}/`,
+  image: `${site_url}/avi.jpg`,
+  sameAs: [
+    'https://github.com/sulhadin',
+    'https://www.linkedin.com/in/sulhadin/',
+  ],
+}
+
+const blog = {
+  '@type': 'Blog',
+  '@id': `${site_url}/#blog`,
+  name: 'refactored',
+  description: metadata.description,
+  url: `${site_url}/`,
+  inLanguage: defaultLocale,
+}
+
+// schema.org structured data for search engines. `<` is escaped so text from
+// a post can't end the script early.
+export default function JsonLd({ data }: { data: object }) {
+  return (
+    <script
+      type="application/ld+json"
+      dangerouslySetInnerHTML={{
+        __html: JSON.stringify(data).replaceAll('<', '\\u003c'),
+      }}
+    />
+  )
+}
+
+export function getBlogJsonLd(posts: Post[]) {
+  return {
+    '@context': 'https://schema.org',
+    '@graph': [
+      {
+        ...blog,
+        author: { '@id': author['@id'] },
+        blogPost: posts.map((post) => ({
+          '@type': 'BlogPosting',
+          headline: post.title,
+          url: `${site_url}${getPostPath(post)}`,
+          datePublished: post.date,
+        })),
+      },
+      author,
+    ],
+  }
+}
+
+export function getPostJsonLd(post: Post) {
+  const url = `${site_url}${getPostPath(post)}`
+  const sameAs = [post.youtube, post.bluesky].filter(Boolean)
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    '@id': url,
+    url,
+    mainEntityOfPage: url,
+    headline: post.title,
+    description: post.spoiler,
+    // Posts don't record edits, so the publishing date is the best we have.
+    datePublished: post.date,
+    dateModified: post.date,
+    author,
+    image: getPostImageUrl(post),
+    wordCount: post.words,
+    keywords: post.tags,
+    inLanguage: post.locale ?? defaultLocale,
+    isPartOf: { '@id': blog['@id'] },
+    ...(sameAs.length > 0 && { sameAs }),
+  }
+}
@@ -0,0 +1,115 @@
+'use client'
+
+import { useId, useState } from 'react'
+import Link from './Link'
+import { type SearchIndex, search } from './search'
+
+let indexPromise: Promise<SearchIndex> | null = null
+
+// The index is only fetched once someone reaches for the search box. A
+// failed load is forgotten, so the next attempt fetches it again.
+function loadIndex() {
+  indexPromise ??= fetch('/search.json')
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`Failed to load search index: ${response.status}`)
+      }
+      return response.json()
+    })
+    .catch((error) => {
+      indexPromise = null
+      throw error
+    })
+  return indexPromise
+}
+
+export default function Search() {
+  const id = useId()
+  const [index, setIndex] = useState<SearchIndex | null>(null)
+  const [failed, setFailed] = useState(false)
+  const [query, setQuery] = useState('')
+  const [isOpen, setIsOpen] = useState(false)
+  const results = index ? search(index, query) : []
+
+  function prepare() {
+    if (!index) {
+      loadIndex().then(
+        (loaded) => {
+          setIndex(loaded)
+          setFailed(false)
+        },
+        () => setFailed(true),
+      )
+    }
+  }
+
+  function close() {
+    setIsOpen(false)
+    setQuery('')
+  }
+
+  return (
+    <div
+      className="relative"
+      onBlur={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) {
+          setIsOpen(false)
+        }
+      }}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') {
+          close()
+        }
+      }}
+    >
+      <input
+        type="search"
+        placeholder="Search"
+        aria-label="Search posts"
+        aria-controls={id}
+        value={query}
+        onPointerEnter={prepare}
+        onFocus={() => {
+          prepare()
+          setIsOpen(true)
+        }}
+        onChange={(e) => {
+          setQuery(e.target.value)
+          setIsOpen(true)
+        }}
+        className="w-20 rounded-full border border-gray-300 bg-transparent dark:border-gray-600 px-3 py-1 text-sm opacity-80 focus:opacity-100 sm:w-40"
+      />
+      {isOpen && query.trim() !== '' && (
+        <ul
+          id={id}
+          className="absolute right-0 z-10 mt-2 flex w-72 max-w-[calc(100vw-2.5rem)] flex-col gap-1 rounded-xl bg-[--bg] p-2 text-sm shadow-xl ring-1 ring-gray-300 dark:ring-gray-600"
+        >
+          {index === null && (
+            <li className="p-2 opacity-60">
+              {failed ? 'Search is unavailable' : 'Loading…'}
+            </li>
+          )}
+          {index !== null && results.length === 0 && (
+            <li className="p-2 opacity-60">No matches</li>
+          )}
+          {results.map((result) => (
+            // Link handles its own clicks, so the list closes from here.
+            <li key={result.href} onClickCapture={close}>
+              <Link
+                href={result.href}
+                className="block rounded-lg p-2 hover:bg-[--inlineCode-bg] focus:bg-[--inlineCode-bg]"
+              >
+                <span className="block font-bold">{result.title}</span>
+                {result.heading && (
+                  <span className="block text-[13px] text-gray-700 dark:text-gray-300">
+                    {result.heading}
+                  </span>
+                )}
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,100 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { type Theme, parseTheme, themeStorageKey } from './theme'
+
+type Choice = Theme | 'system'
+
+const nextChoice: Record<Choice, Choice> = {
+  system: 'light',
+  light: 'dark',
+  dark: 'system',
+}
+
+function applyChoice(choice: Choice) {
+  const root = document.documentElement
+  if (choice === 'system') {
+    root.removeAttribute('data-theme')
+  } else {
+    root.dataset.theme = choice
+  }
+}
+
+export default function ThemeToggle() {
+  // The server can't know the reader's pick, so this starts as system and
+  // catches up with what the inline script applied once mounted.
+  const [choice, setChoice] = useState<Choice>('system')
+
+  useEffect(() => {
+    setChoice(parseTheme(document.documentElement.dataset.theme) ?? 'system')
+    // Keep other open tabs in step.
+    function handleStorage(e: StorageEvent) {
+      if (e.key === themeStorageKey) {
+        const choice = parseTheme(e.newValue) ?? 'system'
+        applyChoice(choice)
+        setChoice(choice)
+      }
+    }
+    window.addEventListener('storage', handleStorage)
+    return () => window.removeEventListener('storage', handleStorage)
+  }, [])
+
+  function select(choice: Choice) {
+    applyChoice(choice)
+    setChoice(choice)
+    try {
+      if (choice === 'system') {
+        localStorage.removeItem(themeStorageKey)
+      } else {
+        localStorage.setItem(themeStorageKey, choice)
+      }
+    } catch {
+      // Still applies to this page, it just won't be remembered.
+    }
+  }
+
+  const next = nextChoice[choice]
+  return (
+    <button
+      type="button"
+      onClick={() => select(next)}
+      aria-label={`Theme: ${choice}. Switch to ${next}`}
+      title={`Theme: ${choice}`}
+      className="rounded-full border border-gray-300 dark:border-gray-600 p-[6px] opacity-80 hover:opacity-100 focus:opacity-100"
+    >
+      <ThemeIcon choice={choice} />
+    </button>
+  )
+}
+
+function ThemeIcon({ choice }: { choice: Choice }) {
+  return (
+    <svg
+      aria-hidden="true"
+      viewBox="0 0 24 24"
+      width="16"
+      height="16"
+      fill="none"
+      stroke="currentColor"
+      strokeWidth="2"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+    >
+      {choice === 'light' && (
+        <>
+          <circle cx="12" cy="12" r="4" />
+          <path d="M12 2v2M12 20v2M4.93 4.93l1.41 1.41M17.66 17.66l1.41 1.41M2 12h2M20 12h2M4.93 19.07l1.41-1.41M17.66 6.34l1.41-1.41" />
+        </>
+      )}
+      {choice === 'dark' && (
+        <path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z" />
+      )}
+      {choice === 'system' && (
+        <>
+          <circle cx="12" cy="12" r="9" />
+          <path d="M12 3a9 9 0 0 1 0 18z" fill="currentColor" />
+        </>
+      )}
+    </svg>
+  )
+}
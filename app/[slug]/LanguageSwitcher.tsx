@@ -0,0 +1,42 @@
+import { Fragment } from 'react'
+import TextLink from '../TextLink'
+import {
+  type Post,
+  defaultLocale,
+  getLanguageName,
+  getPostPath,
+} from '../posts'
+
+// Links a post and its translations to each other, each language named in
+// its own words.
+export default function LanguageSwitcher({ post }: { post: Post }) {
+  const current = post.locale ?? defaultLocale
+  return (
+    <nav
+      aria-label="Languages"
+      className="mt-2 text-[13px] text-gray-700 dark:text-gray-300"
+    >
+      {[defaultLocale, ...post.translations].map((locale, i) => (
+        <Fragment key={locale}>
+          {i > 0 && <>&nbsp;&nbsp;&middot;&nbsp;&nbsp;</>}
+          {locale === current ? (
+            <span lang={locale} aria-current="page" className="font-bold">
+              {getLanguageName(locale)}
+            </span>
+          ) : (
+            <TextLink
+              href={getPostPath({
+                slug: post.slug,
+                locale: locale === defaultLocale ? undefined : locale,
+              })}
+              lang={locale}
+              hrefLang={locale}
+            >
+              {getLanguageName(locale)}
+            </TextLink>
+          )}
+        </Fragment>
+      ))}
+    </nav>
+  )
+}
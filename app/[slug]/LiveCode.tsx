@@ -0,0 +1,264 @@
+'use client'
+
+import overnight from 'overnight/themes/Overnight-Slumber.json'
+import { useEffect, useRef, useState } from 'react'
+import type { HighlighterCore } from 'shiki/core'
+import { Pre } from './markdown'
+
+interface LogEntry {
+  level: 'log' | 'info' | 'warn' | 'error'
+  text: string
+}
+
+// Snippets get this long before the worker is stopped, so an infinite loop
+// can't keep a core busy. Timers still pending by then are dropped too.
+const timeout = 5000
+
+// Runs inside the worker. Kept as a string so the bundler leaves it alone.
+const workerSource = `
+function inspect(value, nested, seen) {
+  if (typeof value === 'string') return nested ? JSON.stringify(value) : value
+  if (typeof value === 'function') return '[Function: ' + (value.name || '(anonymous)') + ']'
+  if (typeof value === 'bigint') return value + 'n'
+  if (typeof value === 'symbol') return value.toString()
+  if (value === null || typeof value !== 'object') return Object.is(value, -0) ? '-0' : String(value)
+  if (seen.has(value)) return '[Circular]'
+  if (value instanceof Error) return value.name + ': ' + value.message
+  if (value instanceof Date) return value.toISOString()
+  if (value instanceof RegExp) return String(value)
+  seen = new Set(seen).add(value)
+  const item = (v) => inspect(v, true, seen)
+  if (Array.isArray(value)) return '[' + value.map(item).join(', ') + ']'
+  if (value instanceof Map) return 'Map(' + value.size + ') {' + [...value].map(([k, v]) => item(k) + ' => ' + item(v)).join(', ') + '}'
+  if (value instanceof Set) return 'Set(' + value.size + ') {' + [...value].map(item).join(', ') + '}'
+  const name = value.constructor && value.constructor !== Object ? value.constructor.name + ' ' : ''
+  const entries = Object.entries(value).map(([k, v]) => k + ': ' + item(v))
+  return name + (entries.length ? '{ ' + entries.join(', ') + ' }' : '{}')
+}
+function send(level, args) {
+  postMessage({ type: 'log', level, text: args.map((arg) => inspect(arg, false, new Set())).join(' ') })
+}
+for (const level of ['log', 'info', 'warn', 'error', 'debug', 'table', 'dir']) {
+  const as = level === 'debug' || level === 'table' || level === 'dir' ? 'log' : level
+  console[level] = (...args) => send(as, args)
+}
+self.onunhandledrejection = (event) => send('error', ['Uncaught (in promise)', event.reason])
+self.onmessage = async (event) => {
+  try {
+    const AsyncFunction = (async () => {}).constructor
+    await new AsyncFunction(event.data)()
+  } catch (error) {
+    send('error', ['Uncaught', error])
+  }
+  postMessage({ type: 'done' })
+}
+`
+
+let highlighterPromise: Promise<HighlighterCore> | null = null
+
+// Same grammar and themes rehype-pretty-code uses on the server, loaded only
+// for pages that have a live block.
+function loadHighlighter() {
+  highlighterPromise ??= Promise.all([
+    import('shiki/core'),
+    import('shiki/engine/javascript'),
+  ]).then(([{ createHighlighterCore }, { createJavaScriptRegexEngine }]) =>
+    createHighlighterCore({
+      themes: [import('shiki/themes/night-owl-light.mjs'), overnight as any],
+      langs: [import('shiki/langs/javascript.mjs')],
+      engine: createJavaScriptRegexEngine(),
+    }),
+  )
+  return highlighterPromise
+}
+
+export default function LiveCode({
+  source,
+  children,
+}: {
+  source: string
+  children: React.ReactNode
+}) {
+  const [highlighter, setHighlighter] = useState<HighlighterCore | null>(null)
+  const [code, setCode] = useState(source)
+  const [logs, setLogs] = useState<LogEntry[] | null>(null)
+  const [isRunning, setIsRunning] = useState(false)
+  const worker = useRef<{
+    worker: Worker
+    timer: number
+    done: boolean
+  } | null>(null)
+
+  useEffect(() => {
+    loadHighlighter().then(setHighlighter, console.error)
+    return stop
+  }, [])
+
+  function stop() {
+    if (worker.current) {
+      worker.current.worker.terminate()
+      clearTimeout(worker.current.timer)
+      worker.current = null
+    }
+    setIsRunning(false)
+  }
+
+  function run() {
+    stop()
+    const url = URL.createObjectURL(
+      new Blob([workerSource], { type: 'text/javascript' }),
+    )
+    const current = { worker: new Worker(url), timer: 0, done: false }
+    current.timer = window.setTimeout(() => {
+      if (!current.done) {
+        setLogs((logs) => [
+          ...(logs ?? []),
+          { level: 'error', text: `Stopped after ${timeout / 1000} seconds` },
+        ])
+      }
+      stop()
+    }, timeout)
+    URL.revokeObjectURL(url)
+    current.worker.onmessage = (event) => {
+      if (event.data.type === 'log') {
+        const { level, text } = event.data
+        setLogs((logs) => [...(logs ?? []), { level, text }])
+      } else if (event.data.type === 'done') {
+        current.done = true
+        setIsRunning(false)
+      }
+    }
+    worker.current = current
+    setLogs([])
+    setIsRunning(true)
+    current.worker.postMessage(code)
+  }
+
+  function reset() {
+    stop()
+    setCode(source)
+    setLogs(null)
+  }
+
+  // Until the highlighter is ready the server-rendered block stays in place.
+  if (!highlighter) {
+    return children
+  }
+
+  const { tokens, rootStyle } = highlighter.codeToTokens(code, {
+    lang: 'javascript',
+    themes: { light: 'night-owl-light', dark: overnight.name },
+    defaultColor: false,
+  })
+
+  return (
+    <div className="flex flex-col gap-3">
+      <Pre>
+        <div className="grid w-max min-w-full">
+          <code
+            aria-hidden
+            data-language="javascript"
+            style={parseStyle(rootStyle)}
+            className="col-start-1 row-start-1 whitespace-pre font-mono"
+          >
+            {tokens.map((line, i) => (
+              // biome-ignore lint/suspicious/noArrayIndexKey: lines have no other identity
+              <span key={i}>
+                {line.map((token, j) => (
+                  // biome-ignore lint/suspicious/noArrayIndexKey: tokens have no other identity
+                  <span key={j} style={token.htmlStyle}>
+                    {token.content}
+                  </span>
+                ))}
+                {i < tokens.length - 1 && '\n'}
+              </span>
+            ))}
+            {/* A trailing newline needs something after it to take up a line. */}
+            {tokens.at(-1)?.length === 0 && ' '}
+          </code>
+          <textarea
+            aria-label="Code editor"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+                e.preventDefault()
+                run()
+              }
+            }}
+            wrap="off"
+            spellCheck={false}
+            autoCapitalize="off"
+            autoComplete="off"
+            autoCorrect="off"
+            className="col-start-1 row-start-1 h-full w-full resize-none overflow-hidden whitespace-pre bg-transparent font-mono text-transparent caret-black outline-none dark:caret-white"
+          />
+        </div>
+      </Pre>
+      <div className="flex flex-row items-center gap-2 text-sm">
+        <button
+          type="button"
+          onClick={run}
+          className="rounded-full border border-gray-300 dark:border-gray-600 px-3 py-0.5 font-bold hover:bg-[--inlineCode-bg]"
+        >
+          {isRunning ? 'Running…' : 'Run'}
+        </button>
+        <button
+          type="button"
+          onClick={reset}
+          disabled={code === source && logs === null}
+          className="rounded-full border border-gray-300 dark:border-gray-600 px-3 py-0.5 hover:bg-[--inlineCode-bg] disabled:opacity-50 disabled:hover:bg-transparent"
+        >
+          Reset
+        </button>
+        <span className="opacity-60">
+          Edit the code, then run it (⌘/Ctrl+Enter)
+        </span>
+      </div>
+      {logs !== null && (
+        <output
+          aria-live="polite"
+          className="-mx-4 block rounded-xl border border-dashed border-gray-300 dark:border-gray-600 px-4 py-3 font-mono text-sm"
+        >
+          {logs.length === 0 && (
+            <span className="opacity-60">
+              {isRunning ? 'Running…' : 'Nothing was logged'}
+            </span>
+          )}
+          {logs.map((entry, i) => (
+            <div
+              // biome-ignore lint/suspicious/noArrayIndexKey: the log only grows
+              key={i}
+              className={`whitespace-pre-wrap break-words ${
+                entry.level === 'error'
+                  ? 'text-[#e5484d]'
+                  : entry.level === 'warn'
+                    ? 'text-[#d8a300]'
+                    : ''
+              }`}
+            >
+              {entry.text}
+            </div>
+          ))}
+        </output>
+      )}
+    </div>
+  )
+}
+
+// Both themes' foregrounds as variables, for markdown.css to pick from like
+// it does for server-rendered blocks.
+function parseStyle(style: string | false | undefined) {
+  return Object.fromEntries(
+    (style || '')
+      .split(';')
+      .filter((declaration) => declaration.includes(':'))
+      .map((declaration) => {
+        const colon = declaration.indexOf(':')
+        return [
+          declaration.slice(0, colon).trim(),
+          declaration.slice(colon + 1).trim(),
+        ]
+      }),
+  ) as React.CSSProperties
+}
@@ -0,0 +1,29 @@
+import TextLink from '../TextLink'
+import type { Post } from '../posts'
+
+export default function SeriesNav({
+  post,
+  series,
+}: {
+  post: Post
+  series: Post[]
+}) {
+  const index = series.findIndex((p) => p.slug === post.slug)
+  const previous = series[index - 1]
+  const next = series[index + 1]
+  return (
+    <nav className="rounded-xl bg-[--inlineCode-bg] px-5 py-4">
+      <p className="text-[13px] text-gray-700 dark:text-gray-300">
+        Part {index + 1} of {series.length} in <em>{post.series}</em>
+      </p>
+      <p className="mt-2 flex flex-wrap justify-between gap-4">
+        {previous ? (
+          <TextLink href={`/${previous.slug}/`}>← {previous.title}</TextLink>
+        ) : (
+          <span />
+        )}
+        {next && <TextLink href={`/${next.slug}/`}>{next.title} →</TextLink>}
+      </p>
+    </nav>
+  )
+}
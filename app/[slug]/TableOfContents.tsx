@@ -0,0 +1,91 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import type { TocEntry } from './mdx'
+
+export default function TableOfContents({ toc }: { toc: TocEntry[] }) {
+  const activeId = useActiveHeading(toc)
+  return (
+    <>
+      <details className="xl:hidden rounded-xl bg-[--inlineCode-bg] px-5 py-3">
+        <summary className="cursor-pointer font-bold">Contents</summary>
+        <TocList entries={toc} activeId={null} />
+      </details>
+      <aside className="absolute top-0 bottom-0 left-full ml-10 hidden w-56 xl:block">
+        <nav
+          aria-label="Table of contents"
+          className="sticky top-12 max-h-[calc(100vh-6rem)] overflow-y-auto text-sm leading-6"
+        >
+          <p className="mb-2 font-bold">Contents</p>
+          <TocList entries={toc} activeId={activeId} />
+        </nav>
+      </aside>
+    </>
+  )
+}
+
+function TocList({
+  entries,
+  activeId,
+}: {
+  entries: TocEntry[]
+  activeId: string | null
+}) {
+  return (
+    <ul className="[&_ul]:ml-4">
+      {entries.map((entry) => (
+        <li key={entry.id} className="mt-2">
+          <a
+            href={`#${entry.id}`}
+            className={
+              entry.id === activeId
+                ? 'font-bold text-[--link]'
+                : 'opacity-70 hover:opacity-100'
+            }
+          >
+            {entry.title}
+          </a>
+          {entry.children.length > 0 && (
+            <TocList entries={entry.children} activeId={activeId} />
+          )}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+function flatten(entries: TocEntry[]): string[] {
+  return entries.flatMap((entry) => [entry.id, ...flatten(entry.children)])
+}
+
+// The active section is the last heading that has scrolled past the top.
+function useActiveHeading(toc: TocEntry[]) {
+  const [activeId, setActiveId] = useState<string | null>(null)
+  useEffect(() => {
+    const headings = flatten(toc)
+      .map((id) => document.getElementById(id))
+      .filter((heading) => heading !== null)
+    let frame = 0
+    function update() {
+      frame = 0
+      let current: string | null = null
+      for (const heading of headings) {
+        if (heading.getBoundingClientRect().top > 100) {
+          break
+        }
+        current = heading.id
+      }
+      setActiveId(current)
+    }
+    function onScroll() {
+      frame ||= requestAnimationFrame(update)
+    }
+    update()
+    window.addEventListener('scroll', onScroll, { passive: true })
+    return () => {
+      window.removeEventListener('scroll', onScroll)
+      cancelAnimationFrame(frame)
+    }
+  }, [toc])
+  return activeId
+}
@@ -0,0 +1,18 @@
+import { notFound } from 'next/navigation'
+import { contentType, generatePostImage, size } from '../../../og/generateImage'
+import { getPost, placeholderLocale } from '../../posts'
+
+export const dynamic = 'force-static'
+export const alt = 'Refactored'
+export { size, contentType }
+
+export default async function Image({ params }) {
+  const { slug: locale, post: slug } = await params
+  if (locale === placeholderLocale) {
+    notFound()
+  }
+  const { post } = await getPost(slug, locale)
+  return generatePostImage(post)
+}
+
+export { generateStaticParams } from './page'
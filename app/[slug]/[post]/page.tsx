@@ -0,0 +1,32 @@
+import { notFound } from 'next/navigation'
+import { getTranslations, placeholderLocale } from '../../posts'
+import PostPage, { generateMetadata as generatePostMetadata } from '../page'
+
+// Translations live at /<locale>/<slug>/. Next allows one name per dynamic
+// segment, so the locale arrives as `slug` and the post's slug as `post`.
+type Params = Promise<{ slug: string; post: string }>
+
+function toPostParams(params: Params) {
+  return params.then(({ slug: locale, post: slug }) => {
+    if (locale === placeholderLocale) {
+      notFound()
+    }
+    return { slug, locale }
+  })
+}
+
+export default function TranslationPage({ params }: { params: Params }) {
+  return <PostPage params={toPostParams(params)} />
+}
+
+export function generateMetadata({ params }: { params: Params }) {
+  return generatePostMetadata({ params: toPostParams(params) })
+}
+
+export async function generateStaticParams() {
+  const translations = await getTranslations()
+  if (translations.length === 0) {
+    return [{ slug: placeholderLocale, post: placeholderLocale }]
+  }
+  return translations.map((post) => ({ slug: post.locale, post: post.slug }))
+}
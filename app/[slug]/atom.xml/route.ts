@@ -0,0 +1,25 @@
+import { notFound } from 'next/navigation'
+import { generateFeed, getLocales, placeholderLocale } from '../../posts'
+
+export const dynamic = 'force-static'
+
+// /<locale>/atom.xml: the segment is a locale here, not a post.
+export async function GET(
+  _request: Request,
+  { params }: { params: Promise<{ slug: string }> },
+) {
+  const { slug: locale } = await params
+  if (locale === placeholderLocale) {
+    notFound()
+  }
+  const feed = await generateFeed({ locale })
+  return new Response(feed.atom1())
+}
+
+export async function generateStaticParams() {
+  const locales = await getLocales()
+  if (locales.length === 0) {
+    return [{ slug: placeholderLocale }]
+  }
+  return locales.map((locale) => ({ slug: locale }))
+}
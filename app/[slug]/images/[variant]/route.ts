@@ -0,0 +1,21 @@
+import { getImageVariants, renderImageVariant } from '../../../images'
+
+export const dynamic = 'force-static'
+
+export async function GET(
+  _request: Request,
+  { params }: { params: Promise<{ slug: string; variant: string }> },
+) {
+  const { slug, variant } = await params
+  const image = await renderImageVariant(slug, variant)
+  if (!image) {
+    return new Response('Not found', { status: 404 })
+  }
+  return new Response(new Uint8Array(image.buffer), {
+    headers: { 'Content-Type': image.contentType },
+  })
+}
+
+export async function generateStaticParams() {
+  return getImageVariants()
+}
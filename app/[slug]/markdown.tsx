@@ -1,5 +1,7 @@
 'use client'
 
+import { useRef, useState } from 'react'
+
 export function P(props: React.ComponentProps<'p'>) {
   return <p {...props} />
 }
@@ -74,21 +76,71 @@ export function LI(props: React.ComponentProps<'li'>) {
 }
 
 export function Pre({ style, ...props }: React.ComponentProps<'pre'>) {
+  const ref = useRef<HTMLPreElement>(null)
   return (
-    <pre
-      className="-mx-4 overflow-y-auto p-4 text-sm"
-      {...props}
-      style={{
-        ...style,
-        clipPath: 'var(--path, none)',
-        borderTopLeftRadius: 'var(--radius-top, 12px)',
-        borderTopRightRadius: 'var(--radius-top, 12px)',
-        borderBottomLeftRadius: 'var(--radius-bottom, 12px)',
-        borderBottomRightRadius: 'var(--radius-bottom, 12px)',
-        paddingTop: 'var(--padding-top, 1rem)',
-        paddingBottom: 'var(--padding-bottom, 1rem)',
+    <div className="group relative">
+      <pre
+        ref={ref}
+        className="-mx-4 overflow-y-auto p-4 text-sm"
+        {...props}
+        style={{
+          ...style,
+          clipPath: 'var(--path, none)',
+          borderTopLeftRadius: 'var(--radius-top, 12px)',
+          borderTopRightRadius: 'var(--radius-top, 12px)',
+          borderBottomLeftRadius: 'var(--radius-bottom, 12px)',
+          borderBottomRightRadius: 'var(--radius-bottom, 12px)',
+          paddingTop: 'var(--padding-top, 1rem)',
+          paddingBottom: 'var(--padding-bottom, 1rem)',
+        }}
+      />
+      <CopyButton getText={() => getCodeText(ref.current)} />
+    </div>
+  )
+}
+
+// The code as it reads after a diff, so removed lines aren't pasted back.
+function getCodeText(pre: HTMLPreElement | null) {
+  const code = pre?.querySelector('code')
+  if (!code) {
+    return ''
+  }
+  const lines = code.querySelectorAll<HTMLElement>(':scope > [data-line]')
+  if (lines.length === 0) {
+    return code.textContent ?? ''
+  }
+  return [...lines]
+    .filter((line) => line.dataset.diff !== 'remove')
+    .map((line) => line.textContent)
+    .join('\n')
+}
+
+function CopyButton({ getText }: { getText: () => string }) {
+  const [status, setStatus] = useState<'idle' | 'copied' | 'failed'>('idle')
+  const timer = useRef(0)
+  return (
+    <button
+      type="button"
+      aria-label="Copy code"
+      onClick={async () => {
+        // The clipboard API is missing on insecure origins and can be denied.
+        try {
+          await navigator.clipboard.writeText(getText())
+          setStatus('copied')
+        } catch {
+          setStatus('failed')
+        }
+        clearTimeout(timer.current)
+        timer.current = window.setTimeout(() => setStatus('idle'), 2000)
       }}
-    />
+      className="absolute right-0 top-2 rounded-md bg-[--code-bg] px-2 py-0.5 font-sans text-xs text-gray-600 opacity-0 transition-opacity hover:text-black dark:text-gray-300 dark:hover:text-white focus-visible:opacity-100 group-hover:opacity-100 [@media(hover:none)]:opacity-100"
+    >
+      {status === 'copied'
+        ? 'Copied'
+        : status === 'failed'
+          ? 'Copy failed'
+          : 'Copy'}
+    </button>
   )
 }
 
@@ -135,9 +187,64 @@ export function Hr(props: React.ComponentProps<'hr'>) {
   return <hr className="opacity-60 dark:opacity-10 mt-4" {...props} />
 }
 
-export function Img(props: React.ComponentProps<'img'>) {
-  // biome-ignore lint/a11y/useAltText: alt is passed via props from MDX
-  return <img alt={props.alt ?? ''} className="max-w-full" {...props} />
+export function Img({
+  sources,
+  placeholder,
+  ...props
+}: Omit<React.ComponentProps<'img'>, 'placeholder'> & {
+  sources?: { type: string; srcSet: string }[]
+  placeholder?: string
+}) {
+  if (!sources) {
+    // biome-ignore lint/a11y/useAltText: alt is passed via props from MDX
+    return <img alt={props.alt ?? ''} className="max-w-full" {...props} />
+  }
+  // Pre-generated variants; width/height reserve the space before loading.
+  return (
+    <picture>
+      {sources.map((source) => (
+        <source
+          key={source.type}
+          type={source.type}
+          srcSet={source.srcSet}
+          sizes="(max-width: 672px) 100vw, 672px"
+        />
+      ))}
+      {/* biome-ignore lint/a11y/useAltText: alt is passed via props from MDX */}
+      <img
+        alt={props.alt ?? ''}
+        loading="lazy"
+        decoding="async"
+        className="h-auto max-w-full bg-cover bg-no-repeat"
+        {...props}
+        style={{ backgroundImage: placeholder, ...props.style }}
+        // Drop the blurred placeholder so it can't show through transparency.
+        ref={(img) => {
+          if (img?.complete) {
+            img.style.backgroundImage = 'none'
+          }
+        }}
+        onLoad={(e) => {
+          e.currentTarget.style.backgroundImage = 'none'
+        }}
+      />
+    </picture>
+  )
+}
+
+// <Figure caption="..."> for anything a titled image can't express, like
+// several images, a video or an embed with one caption.
+export function Figure({
+  caption,
+  children,
+  ...props
+}: React.ComponentProps<'figure'> & { caption?: React.ReactNode }) {
+  return (
+    <figure {...props}>
+      {children}
+      {caption && <figcaption>{caption}</figcaption>}
+    </figure>
+  )
 }
 
 export function A(props: React.ComponentProps<'a'>) {
@@ -1,58 +1,608 @@
+import { type Viz, instance as getViz } from '@viz-js/viz'
 import { Parser } from 'acorn'
 import * as jsx from 'acorn-jsx'
+import { toString as hastToString } from 'hast-util-to-string'
+import overnight from 'overnight/themes/Overnight-Slumber.json'
+import rehypeKatex from 'rehype-katex'
+import rehypePrettyCode from 'rehype-pretty-code'
+import rehypeSlug from 'rehype-slug'
+import remarkGfm from 'remark-gfm'
+import remarkMath from 'remark-math'
+import remarkSmartpants from 'remark-smartypants'
+import type { ShikiTransformer } from 'shiki'
+import ts from 'typescript'
 import { visit } from 'unist-util-visit'
+import { processSvg } from '../svg'
 
 const parser = Parser.extend(jsx.default())
 
-const lang = new Set(['js', 'jsx', 'javascript'])
+// Code follows the color scheme: Shiki writes both themes' colors as
+// --shiki-light and --shiki-dark variables, and markdown.css picks one.
+const codeThemes = { light: 'night-owl-light', dark: overnight }
 
-export function remarkMdxEvalCodeBlock() {
-  return (tree: any) => {
+// Shared by the post page and the feeds so both render the same Markdown.
+export function getMdxPlugins(filename: string) {
+  return {
+    remarkPlugins: [
+      remarkSmartpants,
+      remarkGfm,
+      remarkMath,
+      [remarkDiagrams, filename],
+      [remarkMdxEvalCodeBlock, filename],
+      remarkMdxLiveCodeBlock,
+      remarkCallouts,
+      remarkImageSize,
+      remarkFigures,
+    ] as any,
+    rehypePlugins: [
+      rehypeKatex,
+      [
+        rehypePrettyCode,
+        {
+          theme: codeThemes,
+          defaultLang: { block: 'text' },
+          transformers: [transformerDiff],
+        },
+      ],
+      [rehypeSlug],
+      [rehypeSidenotes],
+    ] as any,
+  }
+}
+
+// ```ts diff: the first column of every line is `+`, `-` or a space, like a
+// unified diff. It's stripped so the code highlights as the language it is,
+// and comes back as data-diff on the line for markdown.css to draw.
+const diffMarkers: Record<string, string> = { '+': 'add', '-': 'remove' }
+
+interface DiffMeta {
+  diff?: (string | undefined)[]
+}
+
+const transformerDiff: ShikiTransformer = {
+  name: 'diff',
+  preprocess(code, options) {
+    if (!/(^|\s)diff(\s|$)/.test(options.meta?.__raw ?? '')) {
+      return
+    }
+    const meta = this.meta as DiffMeta
+    const lines = code.split('\n')
+    meta.diff = lines.map((line) => diffMarkers[line[0]])
+    return lines
+      .map((line) => (/^[-+ ]/.test(line) ? line.slice(1) : line))
+      .join('\n')
+  },
+  line(node, line) {
+    const kind = (this.meta as DiffMeta).diff?.[line - 1]
+    if (kind) {
+      node.properties['data-diff'] = kind
+    }
+  },
+}
+
+// `next dev` shows a broken block in place so the rest of the post can still
+// be previewed. A production build fails instead, listing every one of them.
+const failOnBlockErrors = process.env.NODE_ENV === 'production'
+
+export class CodeBlockError extends Error {
+  constructor(readonly issues: string[]) {
+    super(
+      `Found ${issues.length} broken code block${issues.length === 1 ? '' : 's'}:\n${issues
+        .map((i) => `  - ${i}`)
+        .join('\n')}`,
+    )
+    this.name = 'CodeBlockError'
+  }
+}
+
+const diagramLang = new Set(['dot', 'graphviz'])
+const diagramFont = 'Helvetica,Arial,sans-serif'
+let vizPromise: Promise<Viz> | null = null
+
+// ```dot fences become inline SVG at build time. Graphviz lays them out
+// without a browser, which mermaid can't. The SVG gets the same dark mode
+// treatment as inline SVG images; ```dot alt="..." gives it a name.
+export function remarkDiagrams(filename: string) {
+  return async (tree: any) => {
+    const diagrams: [any, number, any][] = []
     visit(tree, 'code', (node: any, index: number, parent: any) => {
-      if (lang.has(node.lang) && node.meta === 'eval') {
-        const program: any = parser.parse(node.value, {
-          ecmaVersion: 2020,
-          sourceType: 'module',
-        })
-        const output = {
-          type: 'mdxFlowExpression',
-          value: '',
-          data: {
-            estree: {
-              type: 'Program',
-              body: [
-                {
-                  type: 'ExpressionStatement',
-                  expression: {
-                    type: 'CallExpression',
-                    callee: {
-                      type: 'ArrowFunctionExpression',
-                      id: null,
-                      expression: false,
-                      generator: false,
-                      async: false,
-                      params: [],
-                      body: {
-                        type: 'BlockStatement',
-                        body: [
-                          ...program.body.slice(0, -1),
-                          {
-                            type: 'ReturnStatement',
-                            argument: program.body.at(-1),
-                          },
-                        ],
-                      },
-                    },
-                    arguments: [],
-                    optional: false,
-                  },
-                },
-              ],
+      if (diagramLang.has(node.lang)) {
+        diagrams.push([node, index, parent])
+      }
+    })
+    if (diagrams.length === 0) {
+      return
+    }
+    vizPromise ??= getViz()
+    const viz = await vizPromise
+    const issues: string[] = []
+    // Back to front, so earlier indexes stay valid.
+    for (const [node, index, parent] of diagrams.reverse()) {
+      const result = viz.render(node.value, {
+        format: 'svg',
+        graphAttributes: { bgcolor: 'transparent', fontname: diagramFont },
+        nodeAttributes: { fontname: diagramFont },
+        edgeAttributes: { fontname: diagramFont },
+      })
+      if (result.status !== 'success') {
+        const { line, column } = node.position?.start ?? { line: 0, column: 0 }
+        const errors = result.errors.filter((e) => e.level !== 'warning')
+        const message = `${filename}:${line}:${column}: ${errors
+          .map((e) => e.message.trim())
+          .join(' ')}`
+        issues.push(message)
+        parent.children.splice(
+          index,
+          1,
+          jsxElement('div', { className: 'diagram-error', role: 'alert' }, [
+            { type: 'code', lang: 'text', meta: null, value: message },
+          ]),
+        )
+        continue
+      }
+      const alt = /(?:^|\s)alt="([^"]*)"/.exec(node.meta ?? '')?.[1]
+      parent.children.splice(index, 1, {
+        type: 'diagram',
+        data: {
+          hName: 'figure',
+          hProperties: { className: ['diagram'] },
+          hChildren: [processSvg(result.output, { alt })],
+        },
+      })
+    }
+    if (failOnBlockErrors && issues.length > 0) {
+      // Found back to front, reported top to bottom.
+      throw new CodeBlockError(issues.reverse())
+    }
+  }
+}
+
+const lang = new Set(['js', 'jsx', 'javascript', 'ts', 'tsx', 'typescript'])
+const typescriptLang = new Set(['ts', 'tsx', 'typescript'])
+// Live blocks run as-is in the browser, so no JSX.
+const liveLang = new Set(['js', 'javascript'])
+
+// ```js eval [mode]: `source` (the default) shows the highlighted code above
+// its result, `collapsed` tucks the code into a <details>, `output-only`
+// renders just the result.
+const evalModes = new Set(['source', 'collapsed', 'output-only'])
+
+function jsxElement(name: string, attributes: object, children: any[]) {
+  return {
+    type: 'mdxJsxFlowElement',
+    name,
+    attributes: Object.entries(attributes).map(([key, value]) => ({
+      type: 'mdxJsxAttribute',
+      name: key,
+      value,
+    })),
+    children,
+  }
+}
+
+// Whether any node under `node` passes `test`, not looking inside nodes that
+// `stop` matches.
+function some(
+  node: any,
+  test: (node: any) => boolean,
+  stop: (node: any) => boolean = () => false,
+): boolean {
+  if (typeof node?.type !== 'string') {
+    return false
+  }
+  if (test(node)) {
+    return true
+  }
+  if (stop(node)) {
+    return false
+  }
+  return Object.values(node).some((value: any) =>
+    Array.isArray(value)
+      ? value.some((child) => some(child, test, stop))
+      : some(value, test, stop),
+  )
+}
+
+function isFunction(node: any) {
+  return (
+    node.type === 'FunctionDeclaration' ||
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression'
+  )
+}
+
+function hasTopLevelAwait(program: any) {
+  return some(
+    program,
+    (node) =>
+      node.type === 'AwaitExpression' ||
+      (node.type === 'ForOfStatement' && node.await),
+    isFunction,
+  )
+}
+
+function hasUsingDeclaration(program: any) {
+  return some(
+    program,
+    (node) =>
+      node.type === 'VariableDeclaration' &&
+      (node.kind === 'using' || node.kind === 'await using'),
+  )
+}
+
+// Strips types and lowers `using`, which Node can't run yet. The last
+// expression is turned into a return first, otherwise it would end up inside
+// the try/finally that `using` compiles to.
+function transpile(original: string, language: string) {
+  const fileName = typescriptLang.has(language)
+    ? `block.${language === 'tsx' ? 'tsx' : 'ts'}`
+    : 'block.jsx'
+  const source = ts.createSourceFile(fileName, original, ts.ScriptTarget.Latest)
+  let code = original
+  const last = source.statements.at(-1)
+  let toOriginal = (position: number) => position
+  if (last && ts.isExpressionStatement(last)) {
+    const start = last.expression.getStart(source)
+    const end = last.expression.end
+    code = `${original.slice(0, start)}return (${original.slice(start, end)})${original.slice(end)}`
+    toOriginal = (position) =>
+      position < start
+        ? position
+        : position > end + 8
+          ? position - 9
+          : position - 8
+  }
+  const { outputText, diagnostics = [] } = ts.transpileModule(code, {
+    fileName,
+    reportDiagnostics: true,
+    compilerOptions: {
+      target: ts.ScriptTarget.ES2022,
+      module: ts.ModuleKind.ESNext,
+      jsx: ts.JsxEmit.Preserve,
+    },
+  })
+  const [diagnostic] = diagnostics
+  if (diagnostic) {
+    const { line, character } = source.getLineAndCharacterOfPosition(
+      toOriginal(diagnostic.start ?? 0),
+    )
+    throw Object.assign(
+      new Error(ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')),
+      { loc: { line: line + 1, column: character } },
+    )
+  }
+  return outputText
+}
+
+function parseEvalBlock(code: string, language: string) {
+  if (!typescriptLang.has(language)) {
+    const program = parser.parse(code, {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+    })
+    if (!hasUsingDeclaration(program)) {
+      return program
+    }
+  }
+  return parser.parse(transpile(code, language), {
+    ecmaVersion: 'latest',
+    sourceType: 'module',
+    allowReturnOutsideFunction: true,
+  })
+}
+
+// Blocks with top-level await become async; React waits for the promise
+// while rendering, so the page still gets the final result.
+function evalExpression(program: any) {
+  const last = program.body.at(-1)
+  const body =
+    last?.type === 'ExpressionStatement'
+      ? [
+          ...program.body.slice(0, -1),
+          { type: 'ReturnStatement', argument: last.expression },
+        ]
+      : program.body
+  return {
+    type: 'mdxFlowExpression',
+    value: '',
+    data: {
+      estree: {
+        type: 'Program',
+        body: [
+          {
+            type: 'ExpressionStatement',
+            expression: {
+              type: 'CallExpression',
+              callee: {
+                type: 'ArrowFunctionExpression',
+                id: null,
+                expression: false,
+                generator: false,
+                async: hasTopLevelAwait(program),
+                params: [],
+                body: { type: 'BlockStatement', body },
+              },
+              arguments: [],
+              optional: false,
             },
           },
+        ],
+      },
+    },
+  }
+}
+
+export function remarkMdxEvalCodeBlock(filename: string) {
+  return (tree: any) => {
+    const issues: string[] = []
+    visit(tree, 'code', (node: any, index: number, parent: any) => {
+      const [flag, mode = 'source'] = (node.meta ?? '').trim().split(/\s+/)
+      if (!lang.has(node.lang) || flag !== 'eval') {
+        return
+      }
+      const { line, column } = node.position?.start ?? { line: 0, column: 0 }
+      let program: any
+      try {
+        if (!evalModes.has(mode)) {
+          throw new Error(`Unknown eval mode "${mode}"`)
         }
+        program = parseEvalBlock(node.value, node.lang)
+      } catch (error: any) {
+        // Point at the line in the post, not in the block. The fence takes
+        // up the first line.
+        const where = error.loc
+          ? `${filename}:${line + error.loc.line}:${error.loc.column + 1}`
+          : `${filename}:${line}:${column}`
+        const message = `${where}: ${error.message.replace(/ \(\d+:\d+\)$/, '')}`
+        issues.push(message)
+        parent.children.splice(
+          index,
+          1,
+          jsxElement('div', { className: 'eval eval-error', role: 'alert' }, [
+            { type: 'code', lang: 'text', meta: null, value: message },
+          ]),
+        )
+        return
+      }
+      const output = evalExpression(program)
+      if (mode === 'output-only') {
         parent.children.splice(index, 1, output)
+        return
+      }
+      const source = { ...node, meta: null }
+      parent.children.splice(
+        index,
+        1,
+        jsxElement('div', { className: 'eval' }, [
+          mode === 'collapsed'
+            ? jsxElement('details', {}, [
+                jsxElement('summary', {}, [
+                  { type: 'text', value: 'Show source' },
+                ]),
+                source,
+              ])
+            : source,
+          jsxElement('div', { className: 'eval-output' }, [output]),
+        ]),
+      )
+    })
+    if (failOnBlockErrors && issues.length > 0) {
+      throw new CodeBlockError(issues)
+    }
+  }
+}
+
+// ```js live: the highlighted block is wrapped in <LiveCode>, which turns it
+// into an editor once the page hydrates. Without JS (and in feeds) it stays
+// plain highlighted code.
+export function remarkMdxLiveCodeBlock() {
+  return (tree: any) => {
+    visit(tree, 'code', (node: any, index: number, parent: any) => {
+      const [flag, ...meta] = (node.meta ?? '').trim().split(/\s+/)
+      if (!liveLang.has(node.lang) || flag !== 'live') {
+        return
+      }
+      parent.children.splice(
+        index,
+        1,
+        jsxElement('LiveCode', { source: node.value }, [
+          { ...node, meta: meta.join(' ') || null },
+        ]),
+      )
+    })
+  }
+}
+
+const calloutTitles: Record<string, string> = {
+  note: 'Note',
+  tip: 'Tip',
+  important: 'Important',
+  warning: 'Warning',
+  caution: 'Caution',
+}
+
+// GitHub-style alerts: a blockquote starting with `[!NOTE]`, `[!TIP]`,
+// `[!IMPORTANT]`, `[!WARNING]` or `[!CAUTION]` becomes an <aside> callout.
+export function remarkCallouts() {
+  return (tree: any) => {
+    visit(tree, 'blockquote', (node: any, index: number, parent: any) => {
+      const [paragraph, ...rest] = node.children
+      const text = paragraph?.type === 'paragraph' && paragraph.children[0]
+      const match =
+        text?.type === 'text' && /^\[!(\w+)\][ \t]*(\n|$)/.exec(text.value)
+      const type = match?.[1].toLowerCase()
+      if (!match || !Object.hasOwn(calloutTitles, type)) {
+        return
+      }
+      text.value = text.value.slice(match[0].length)
+      const body = paragraph.children.filter(
+        (child: any) => child !== text || text.value !== '',
+      )
+      parent.children.splice(
+        index,
+        1,
+        jsxElement('aside', { className: `callout callout-${type}` }, [
+          jsxElement('p', { className: 'callout-title' }, [
+            { type: 'text', value: calloutTitles[type] },
+          ]),
+          ...(body.length > 0 ? [{ ...paragraph, children: body }] : []),
+          ...rest,
+        ]),
+      )
+    })
+  }
+}
+
+// Sizes an image from the end of its title: ![Alt](./a.svg "=480") for
+// 480px, "=60%", or "=full" for the whole column. Whatever comes before is
+// still the caption.
+export function remarkImageSize() {
+  return (tree: any) => {
+    visit(tree, 'image', (node: any) => {
+      const match = /(?:^|\s)=(full|\d+(?:px|%)?)$/.exec(node.title ?? '')
+      if (!match) {
+        return
+      }
+      node.title = node.title.slice(0, match.index).trim() || null
+      node.data ??= {}
+      node.data.hProperties = {
+        ...node.data.hProperties,
+        width: match[1] === 'full' ? '100%' : match[1],
+      }
+    })
+  }
+}
+
+// A paragraph holding nothing but an image with a title becomes a figure,
+// the title its caption: ![Alt](./image.png "Caption").
+export function remarkFigures() {
+  return (tree: any) => {
+    visit(tree, 'paragraph', (node: any, index: number, parent: any) => {
+      const children = node.children.filter(
+        (child: any) => child.type !== 'text' || child.value.trim() !== '',
+      )
+      const [image] = children
+      if (children.length !== 1 || image.type !== 'image' || !image.title) {
+        return
+      }
+      parent.children.splice(
+        index,
+        1,
+        jsxElement('figure', {}, [
+          { ...image, title: null },
+          jsxElement('figcaption', {}, [{ type: 'text', value: image.title }]),
+        ]),
+      )
+    })
+  }
+}
+
+function isElement(node: any, tagName: string) {
+  return node?.type === 'element' && node.tagName === tagName
+}
+
+// Footnote content as phrasing content, so it can sit inside the paragraph
+// that references it. Null when the footnote has more than paragraphs.
+function toSidenoteContent(children: any[]): any[] | null {
+  const content: any[] = []
+  for (const child of children) {
+    if (child.type === 'text' && child.value.trim() === '') {
+      continue
+    }
+    if (!isElement(child, 'p')) {
+      return null
+    }
+    content.push({
+      type: 'element',
+      tagName: 'span',
+      properties: { className: ['sidenote-paragraph'] },
+      children: child.children.filter(
+        (c: any) =>
+          !(isElement(c, 'a') && 'dataFootnoteBackref' in c.properties),
+      ),
+    })
+  }
+  return content
+}
+
+// Repeats each footnote next to its first reference as a sidenote. Wide
+// layouts show those in the margin instead of the list at the end; see
+// markdown.css.
+export function rehypeSidenotes() {
+  return (tree: any) => {
+    const footnotes = new Map<string, any>()
+    visit(tree, 'element', (node: any) => {
+      const id = String(node.properties.id ?? '')
+      if (node.tagName === 'li' && id.startsWith('user-content-fn-')) {
+        footnotes.set(`#${id}`, node)
+      }
+    })
+    visit(tree, 'element', (node: any, index: number, parent: any) => {
+      const link = isElement(node, 'sup') && node.children[0]
+      const footnote = link && footnotes.get(String(link.properties.href))
+      if (!footnote || !('dataFootnoteRef' in link.properties)) {
+        return
+      }
+      footnotes.delete(String(link.properties.href))
+      const content = toSidenoteContent(footnote.children)
+      if (!content) {
+        return
+      }
+      footnote.properties.className = ['has-sidenote']
+      parent.children.splice(index + 1, 0, {
+        type: 'element',
+        tagName: 'span',
+        properties: { className: ['sidenote'] },
+        children: [
+          {
+            type: 'element',
+            tagName: 'span',
+            properties: { className: ['sidenote-number'] },
+            children: [{ type: 'text', value: hastToString(link) }],
+          },
+          ...content,
+        ],
+      })
+      return index + 2
+    })
+  }
+}
+
+export interface TocEntry {
+  id: string
+  title: string
+  depth: number
+  children: TocEntry[]
+}
+
+const tocHeadings = new Set(['h2', 'h3', 'h4'])
+
+// Collects h2–h4 into `toc` as a tree. Must run after rehype-slug so the ids
+// match the rendered anchors.
+export function rehypeTableOfContents(toc: TocEntry[]) {
+  return (tree: any) => {
+    const stack: TocEntry[] = []
+    visit(tree, 'element', (node: any) => {
+      // The footnotes section has a visually hidden heading of its own.
+      if (
+        !tocHeadings.has(node.tagName) ||
+        !node.properties.id ||
+        node.properties.id === 'footnote-label'
+      ) {
+        return
+      }
+      const entry: TocEntry = {
+        id: String(node.properties.id),
+        title: hastToString(node),
+        depth: Number(node.tagName[1]),
+        children: [],
+      }
+      while (stack.length > 0 && stack.at(-1)!.depth >= entry.depth) {
+        stack.pop()
       }
+      const siblings = stack.at(-1)?.children ?? toc
+      siblings.push(entry)
+      stack.push(entry)
     })
   }
 }
@@ -1,6 +1,5 @@
-import { readFile } from 'node:fs/promises'
-import matter from 'gray-matter'
 import { contentType, generatePostImage, size } from '../../og/generateImage'
+import { getPost } from '../posts'
 
 export const dynamic = 'force-static'
 export const alt = 'Refactored'
@@ -8,10 +7,8 @@ export { size, contentType }
 
 export default async function Image({ params }) {
   const { slug } = await params
-  const filename = `./public/${slug}/index.md`
-  const file = await readFile(filename, 'utf8')
-  const { data } = matter(file)
-  return generatePostImage({ title: data.title })
+  const { post } = await getPost(slug)
+  return generatePostImage(post)
 }
 
 export { generateStaticParams } from './page'
@@ -1,60 +1,105 @@
-import { readFile, readdir } from 'node:fs/promises'
-import matter from 'gray-matter'
-import { MDXRemote } from 'next-mdx-remote-client/rsc'
-import overnight from 'overnight/themes/Overnight-Slumber.json'
+import { readFile } from 'node:fs/promises'
+import { toHtml } from 'hast-util-to-html'
+import { type MDXComponents, evaluate } from 'next-mdx-remote-client/rsc'
 import { Fragment } from 'react'
-import rehypePrettyCode from 'rehype-pretty-code'
-import rehypeSlug from 'rehype-slug'
-import remarkSmartpants from 'remark-smartypants'
+import { Demo, DemoResult } from '../Demo'
+import JsonLd, { getPostJsonLd } from '../JsonLd'
+import PostList from '../PostList'
 import TextLink from '../TextLink'
 import { sans } from '../fonts'
-import { remarkMdxEvalCodeBlock } from './mdx'
+import { getResponsiveImage } from '../images'
+import { checkLinks } from '../links'
+import { checkComponents, loadPostComponents } from '../postComponents'
+import {
+  defaultLocale,
+  formatDate,
+  getAlternateLanguages,
+  getPost,
+  getPostFilename,
+  getPostPath,
+  getPosts,
+  getSeries,
+  isPublished,
+} from '../posts'
+import { getRelatedPosts } from '../related'
+import { defaultPalette, processSvg, svgFilter } from '../svg'
+import LanguageSwitcher from './LanguageSwitcher'
+import LiveCode from './LiveCode'
+import SeriesNav from './SeriesNav'
+import TableOfContents from './TableOfContents'
+import { type TocEntry, getMdxPlugins, rehypeTableOfContents } from './mdx'
+import 'katex/dist/katex.min.css'
 import './markdown.css'
-import remarkGfm from 'remark-gfm'
 import * as markdown from './markdown'
 
-overnight.colors['editor.background'] = 'var(--code-bg)'
-
+// Also renders translations, for [post]/page.tsx.
 export default async function PostPage({
   params,
 }: {
-  params: Promise<{ slug: string }>
+  params: Promise<{ slug: string; locale?: string }>
 }) {
-  const { slug } = await params
-  const filename = `./public/${slug}/index.md`
-  const file = await readFile(filename, 'utf8')
-  let postComponents: any = {}
-  try {
-    postComponents = await import(`../../public/${slug}/components.js`)
-  } catch (e: any) {
-    if (!e || e.code !== 'MODULE_NOT_FOUND') {
-      throw e
-    }
+  const { slug, locale } = await params
+  const filename = getPostFilename(slug, locale)
+  const { post, content } = await getPost(slug, locale)
+  const series = await getSeries(post)
+  const related = await getRelatedPosts(slug)
+  const { components: postComponents, Wrapper = Fragment } =
+    await loadPostComponents(slug)
+  const toc: TocEntry[] = []
+  const { remarkPlugins, rehypePlugins } = getMdxPlugins(filename)
+  const { content: body, error } = await evaluate({
+    source: content,
+    components: {
+      ...getCoreComponents(slug, post.svgPalette),
+      ...postComponents,
+    },
+    options: {
+      mdxOptions: {
+        useDynamicImport: true,
+        remarkPlugins,
+        rehypePlugins: [...rehypePlugins, [rehypeTableOfContents, toc]],
+      } as any,
+    },
+  })
+  if (error) {
+    throw error
   }
-  const Wrapper = postComponents.Wrapper ?? Fragment
-  const { content, data } = matter(file)
+  const showToc = post.toc !== false && toc.length > 0
   return (
     <>
-      <article>
+      <JsonLd data={getPostJsonLd(post)} />
+      <article className="relative" lang={locale}>
         <h1
           className={[
             sans.className,
             'text-[40px] font-black leading-[44px] text-[--title]',
           ].join(' ')}
         >
-          {data.title}
+          {post.title}
         </h1>
         <p className="mt-2 text-[13px] text-gray-700 dark:text-gray-300">
-          {new Date(data.date).toLocaleDateString('en', {
-            day: 'numeric',
-            month: 'long',
-            year: 'numeric',
-          })}
+          {formatDate(post.date, locale)}
+          &nbsp;&nbsp;&middot;&nbsp;&nbsp;{post.readingTime} min read
+          {post.tags.map((tag) => (
+            <Fragment key={tag}>
+              &nbsp;&nbsp;&middot;&nbsp;&nbsp;
+              <TextLink href={`/tags/${tag}/`}>#{tag}</TextLink>
+            </Fragment>
+          ))}
         </p>
+        {post.translations.length > 0 && <LanguageSwitcher post={post} />}
+        {!isPublished(post) && (
+          <p className="mt-4 inline-block rounded-md bg-[--inlineCode-bg] px-2 py-1 text-[13px] font-bold">
+            {post.draft
+              ? 'Draft'
+              : `Scheduled for ${formatDate(post.date, locale)}`}
+            {' — not visible in production builds'}
+          </p>
+        )}
         <div className="markdown flex flex-col gap-8 mt-12">
-          {(!data.nocta || data.youtube) && (
+          {(!post.nocta || post.youtube) && (
             <div className="relative md:-left-6 flex flex-wrap items-baseline gap-4">
-              {!data.nocta && (
+              {!post.nocta && (
                 <a
                   href="https://ko-fi.com/sulhadin"
                   target="_blank"
@@ -65,8 +110,8 @@ export default async function PostPage({
                   Pay what you like
                 </a>
               )}
-              {data.youtube && (
-                <TextLink href={data.youtube}>
+              {post.youtube && (
+                <TextLink href={post.youtube}>
                   <span className="hidden min-[400px]:inline">Watch on </span>
                   YouTube
                 </TextLink>
@@ -74,100 +119,12 @@ export default async function PostPage({
             </div>
           )}
 
+          {showToc && <TableOfContents toc={toc} />}
           <Wrapper>
-            <div className="flex flex-col gap-8">
-              <MDXRemote
-                source={content}
-                components={{
-                  p: markdown.P,
-                  h2: markdown.H2,
-                  h3: markdown.H3,
-                  h4: markdown.H4,
-                  blockquote: markdown.Blockquote,
-                  ul: markdown.UL,
-                  ol: markdown.OL,
-                  li: markdown.LI,
-                  pre: markdown.Pre,
-                  code: markdown.Code,
-                  table: markdown.Table,
-                  th: markdown.Th,
-                  td: markdown.Td,
-                  hr: markdown.Hr,
-                  a: (props: React.ComponentProps<'a'>) => (
-                    <TextLink {...props} href={props.href ?? ''} />
-                  ),
-                  img: async ({ src, ...rest }) => {
-                    if (
-                      src &&
-                      !/^https?:\/\//.test(src) &&
-                      src.endsWith('.svg')
-                    ) {
-                      const svgPath = `./public/${slug}/${src}`
-                      const svgContent = await readFile(svgPath, 'utf8')
-                      const maxWidth = src.endsWith('-full.svg')
-                        ? '100%'
-                        : '450px'
-                      const colorReplacedSvg = svgContent
-                        .replace(/#ffffff/gi, 'var(--bg-rotated)')
-                        .replace(/<metadata>.*?<\/metadata>/s, '')
-                        .replace(
-                          '<svg',
-                          `<svg style="max-width: ${maxWidth}; width: 100%; height: auto;"`,
-                        )
-
-                      return (
-                        <span
-                          dangerouslySetInnerHTML={{ __html: colorReplacedSvg }}
-                          style={{
-                            filter: 'var(--svg-filter)',
-                            display: 'inline-block',
-                            ...rest.style,
-                          }}
-                          {...rest}
-                        />
-                      )
-                    }
-
-                    let finalSrc = src
-                    if (src && !/^https?:\/\//.test(src)) {
-                      finalSrc = `/${slug}/${src}`
-                    }
-
-                    return <markdown.Img src={finalSrc} {...rest} />
-                  },
-                  Video: ({ src, ...rest }) => {
-                    let finalSrc = src
-                    if (src && !/^https?:\/\//.test(src)) {
-                      finalSrc = `/${slug}/${src}`
-                    }
-                    return <video src={finalSrc} {...rest} />
-                  },
-                  ...postComponents,
-                }}
-                options={{
-                  mdxOptions: {
-                    useDynamicImport: true,
-                    remarkPlugins: [
-                      remarkSmartpants,
-                      remarkGfm,
-                      [remarkMdxEvalCodeBlock, filename],
-                    ] as any,
-                    rehypePlugins: [
-                      [
-                        rehypePrettyCode,
-                        {
-                          theme: overnight,
-                          defaultLang: { block: 'text' },
-                        },
-                      ],
-                      [rehypeSlug],
-                    ] as any,
-                  } as any,
-                }}
-              />
-            </div>
+            <div className="flex flex-col gap-8">{body}</div>
           </Wrapper>
-          {!data.nocta && (
+          {series.length > 1 && <SeriesNav post={post} series={series} />}
+          {!post.nocta && (
             <div className="flex flex-wrap items-baseline gap-4 relative md:-left-8">
               <a
                 href="https://ko-fi.com/sulhadin"
@@ -186,43 +143,196 @@ export default async function PostPage({
           )}
           <hr className="opacity-60 dark:opacity-10" />
           <p>
-            {data.bluesky && (
+            {post.bluesky && (
               <>
-                <TextLink href={data.bluesky}>Discuss on Bluesky</TextLink>
+                <TextLink href={post.bluesky}>Discuss on Bluesky</TextLink>
                 &nbsp;&nbsp;&middot;&nbsp;&nbsp;
               </>
             )}
-            {data.youtube && (
+            {post.youtube && (
               <>
-                <TextLink href={data.youtube}>Watch on YouTube</TextLink>
+                <TextLink href={post.youtube}>Watch on YouTube</TextLink>
                 &nbsp;&nbsp;&middot;&nbsp;&nbsp;
               </>
             )}
           </p>
         </div>
       </article>
+      {related.length > 0 && (
+        <section className="mt-16">
+          <h2
+            className={[
+              sans.className,
+              'mb-8 text-2xl font-black text-[--title]',
+            ].join(' ')}
+          >
+            Read next
+          </h2>
+          <PostList posts={related} />
+        </section>
+      )}
     </>
   )
 }
 
+// A bare number is pixels, like on <img>.
+function toCssLength(length: string | number | undefined) {
+  if (length === undefined) {
+    return undefined
+  }
+  const value = String(length)
+  return /^\d+$/.test(value) ? `${value}px` : value
+}
+
+// Relative links point at files next to the post's Markdown, so they resolve
+// against the original post, also on a translation at /<locale>/<slug>/.
+// Links to a heading on the same page stay as they are.
+function resolvePostHref(slug: string, href: string) {
+  if (!href || /^([a-z][a-z\d+.-]*:|\/|#|\?)/i.test(href)) {
+    return href
+  }
+  const url = new URL(href, `https://sulhadin.com/${slug}/`)
+  return url.pathname + url.search + url.hash
+}
+
+// Markdown elements and the components every post can use. Posts add their
+// own through a components module (see app/postComponents.ts).
+function getCoreComponents(
+  slug: string,
+  svgPalette?: Record<string, string>,
+): MDXComponents {
+  return {
+    p: markdown.P,
+    h2: markdown.H2,
+    h3: markdown.H3,
+    h4: markdown.H4,
+    blockquote: markdown.Blockquote,
+    ul: markdown.UL,
+    ol: markdown.OL,
+    li: markdown.LI,
+    pre: markdown.Pre,
+    code: markdown.Code,
+    table: markdown.Table,
+    th: markdown.Th,
+    td: markdown.Td,
+    hr: markdown.Hr,
+    a: (props: React.ComponentProps<'a'>) => (
+      <TextLink {...props} href={resolvePostHref(slug, props.href ?? '')} />
+    ),
+    img: async ({ src, ...rest }) => {
+      if (src && !/^https?:\/\//.test(src) && src.endsWith('.svg')) {
+        const svgPath = `./public/${slug}/${src}`
+        const { alt, width, style, ...props } = rest
+        let svg: any
+        try {
+          svg = processSvg(await readFile(svgPath, 'utf8'), {
+            alt,
+            width: toCssLength(width),
+            palette: { ...defaultPalette, ...svgPalette },
+          })
+        } catch (error: any) {
+          throw new Error(`${svgPath}: ${error.message}`)
+        }
+        return (
+          <span
+            dangerouslySetInnerHTML={{ __html: toHtml(svg) }}
+            style={{
+              filter: svgFilter,
+              display: 'block',
+              width: '100%',
+              ...style,
+            }}
+            {...props}
+          />
+        )
+      }
+
+      // A requested size (see remarkImageSize) becomes the CSS width, so the
+      // width and height attributes can keep the aspect ratio.
+      const { width, style, ...props } = rest
+      const sizedStyle = width ? { ...style, width: toCssLength(width) } : style
+      const image = src && (await getResponsiveImage(slug, src))
+      if (image) {
+        return (
+          <markdown.Img
+            {...props}
+            style={sizedStyle}
+            src={image.src}
+            width={image.width}
+            height={image.height}
+            sources={image.sources}
+            placeholder={image.placeholder}
+          />
+        )
+      }
+
+      let finalSrc = src
+      if (src && !/^https?:\/\//.test(src)) {
+        finalSrc = `/${slug}/${src}`
+      }
+
+      return <markdown.Img src={finalSrc} {...props} style={sizedStyle} />
+    },
+    Video: ({ src, ...rest }) => {
+      let finalSrc = src
+      if (src && !/^https?:\/\//.test(src)) {
+        finalSrc = `/${slug}/${src}`
+      }
+      return <video src={finalSrc} {...rest} />
+    },
+    Figure: markdown.Figure,
+    LiveCode,
+    Demo,
+    DemoResult,
+  }
+}
+
 export async function generateStaticParams() {
-  const entries = await readdir('./public/', { withFileTypes: true })
-  const dirs = entries
-    .filter((entry) => entry.isDirectory())
-    .map((entry) => entry.name)
-  return dirs.map((dir) => ({ slug: dir }))
+  await checkLinks()
+  await checkComponents(Object.keys(getCoreComponents('')))
+  const posts = await getPosts()
+  return posts.map((post) => ({ slug: post.slug }))
 }
 
 export async function generateMetadata({
   params,
 }: {
-  params: Promise<{ slug: string }>
+  params: Promise<{ slug: string; locale?: string }>
 }) {
-  const { slug } = await params
-  const file = await readFile(`./public/${slug}/index.md`, 'utf8')
-  const { data } = matter(file)
+  const { slug, locale } = await params
+  const { post } = await getPost(slug, locale)
+  const site_url = 'https://sulhadin.com'
   return {
-    title: `${data.title} — refactored`,
-    description: data.spoiler,
+    title: `${post.title} — refactored`,
+    description: post.spoiler,
+    // The image comes from opengraph-image.tsx, and twitter falls back to it.
+    openGraph: {
+      type: 'article',
+      title: post.title,
+      description: post.spoiler,
+      url: getPostPath(post),
+      siteName: 'refactored',
+      locale: locale ?? defaultLocale,
+      publishedTime: post.date,
+      modifiedTime: post.date,
+      authors: [`${site_url}/`],
+      tags: post.tags,
+    },
+    twitter: {
+      card: 'summary_large_image',
+      title: post.title,
+      description: post.spoiler,
+    },
+    alternates: {
+      canonical: getPostPath(post),
+      // hreflang links between the original and its translations.
+      languages: getAlternateLanguages(post),
+      types: locale
+        ? {
+            'application/atom+xml': `${site_url}/${locale}/atom.xml`,
+            'application/rss+xml': `${site_url}/${locale}/rss.xml`,
+          }
+        : undefined,
+    },
   }
 }
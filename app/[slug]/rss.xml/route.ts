@@ -0,0 +1,19 @@
+import { notFound } from 'next/navigation'
+import { generateFeed, placeholderLocale } from '../../posts'
+
+export const dynamic = 'force-static'
+
+// /<locale>/rss.xml: the segment is a locale here, not a post.
+export async function GET(
+  _request: Request,
+  { params }: { params: Promise<{ slug: string }> },
+) {
+  const { slug: locale } = await params
+  if (locale === placeholderLocale) {
+    notFound()
+  }
+  const feed = await generateFeed({ locale })
+  return new Response(feed.rss2())
+}
+
+export { generateStaticParams } from '../atom.xml/route'
@@ -0,0 +1,8 @@
+import { generateFeed, toJsonFeed } from '../posts'
+
+export const dynamic = 'force-static'
+
+export async function GET() {
+  const feed = await generateFeed()
+  return Response.json(toJsonFeed(feed))
+}
@@ -0,0 +1,137 @@
+export interface Frontmatter {
+  title: string
+  date: string
+  spoiler: string
+  youtube?: string
+  bluesky?: string
+  nocta?: boolean
+  cta?: string
+  draft?: boolean
+  tags?: string[]
+  series?: string
+  toc?: boolean
+  svgPalette?: Record<string, string>
+}
+
+type Field<T> = {
+  required: boolean
+  parse: (value: unknown) => T | undefined
+  expected: string
+}
+
+const isoDate = /^(\d{4})-(\d{2})-(\d{2})$/
+
+const string: Field<string>['parse'] = (value) =>
+  typeof value === 'string' && value.trim() !== '' ? value : undefined
+
+const url: Field<string>['parse'] = (value) =>
+  typeof value === 'string' && /^https:\/\/\S+$/.test(value) ? value : undefined
+
+// Tags end up in URLs, so they are kept to lowercase kebab-case.
+const tags: Field<string[]>['parse'] = (value) =>
+  Array.isArray(value) &&
+  value.every(
+    (tag) => typeof tag === 'string' && /^[a-z0-9]+(-[a-z0-9]+)*$/.test(tag),
+  ) &&
+  new Set(value).size === value.length
+    ? value
+    : undefined
+
+const boolean: Field<boolean>['parse'] = (value) =>
+  typeof value === 'boolean' ? value : undefined
+
+// YAML turns an unquoted `2025-01-02` into a Date, a quoted one stays a
+// string. Both are fine as long as the calendar date is real.
+const date: Field<string>['parse'] = (value) => {
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return value.toISOString().slice(0, 10)
+  }
+  const match = typeof value === 'string' && isoDate.exec(value)
+  if (!match) {
+    return undefined
+  }
+  const [, year, month, day] = match.map(Number)
+  const parsed = new Date(Date.UTC(year, month - 1, day))
+  return parsed.getUTCMonth() === month - 1 && parsed.getUTCDate() === day
+    ? value
+    : undefined
+}
+
+// Colors in the post's inline SVGs to swap for CSS custom properties, so
+// they follow the theme: `"#1f77b4": --link`.
+const palette: Field<Record<string, string>>['parse'] = (value) =>
+  typeof value === 'object' &&
+  value !== null &&
+  !Array.isArray(value) &&
+  Object.entries(value).every(
+    ([color, name]) =>
+      /^#([0-9a-f]{3}){1,2}$/i.test(color) &&
+      typeof name === 'string' &&
+      /^--[\w-]+$/.test(name),
+  )
+    ? (value as Record<string, string>)
+    : undefined
+
+const schema: { [K in keyof Frontmatter]-?: Field<Frontmatter[K]> } = {
+  title: { required: true, parse: string, expected: 'a non-empty string' },
+  date: { required: true, parse: date, expected: 'an ISO date (YYYY-MM-DD)' },
+  spoiler: { required: true, parse: string, expected: 'a non-empty string' },
+  youtube: { required: false, parse: url, expected: 'an https:// URL' },
+  bluesky: { required: false, parse: url, expected: 'an https:// URL' },
+  nocta: { required: false, parse: boolean, expected: 'true or false' },
+  cta: { required: false, parse: string, expected: 'a non-empty string' },
+  draft: { required: false, parse: boolean, expected: 'true or false' },
+  tags: {
+    required: false,
+    parse: tags,
+    expected: 'a list of unique kebab-case tags',
+  },
+  series: { required: false, parse: string, expected: 'a non-empty string' },
+  toc: { required: false, parse: boolean, expected: 'true or false' },
+  svgPalette: {
+    required: false,
+    parse: palette,
+    expected: 'hex colors mapped to CSS custom properties',
+  },
+}
+
+export class FrontmatterError extends Error {
+  constructor(readonly issues: string[]) {
+    super(`Invalid frontmatter:\n${issues.map((i) => `  - ${i}`).join('\n')}`)
+    this.name = 'FrontmatterError'
+  }
+}
+
+export function parseFrontmatter(
+  filename: string,
+  data: Record<string, unknown>,
+): Frontmatter {
+  const issues: string[] = []
+  const frontmatter: Record<string, unknown> = {}
+  for (const [key, field] of Object.entries(schema)) {
+    const value = data[key]
+    if (value === undefined || value === null) {
+      if (field.required) {
+        issues.push(`${filename}: "${key}" is required`)
+      }
+      continue
+    }
+    const parsed = field.parse(value)
+    if (parsed === undefined) {
+      issues.push(
+        `${filename}: "${key}" must be ${field.expected}, got ${JSON.stringify(value)}`,
+      )
+      continue
+    }
+    frontmatter[key] = parsed
+  }
+  for (const key of Object.keys(data)) {
+    if (!(key in schema)) {
+      issues.push(`${filename}: unknown field "${key}"`)
+    }
+  }
+  if (issues.length > 0) {
+    throw new FrontmatterError(issues)
+  }
+  return frontmatter as unknown as Frontmatter
+}
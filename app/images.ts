@@ -0,0 +1,96 @@
+import { readdir } from 'node:fs/promises'
+import sharp from 'sharp'
+import { getPosts } from './posts'
+
+// Post images are served as AVIF/WebP variants from
+// /<slug>/images/<file>.<width>w.<format>, generated by the route next to the
+// post page. The original file stays around as the fallback `src`.
+
+const widths = [480, 960, 1440]
+const formats = ['avif', 'webp'] as const
+const raster = /\.(png|jpe?g|webp)$/i
+const variantPattern = /^(.+)\.(\d+)w\.(avif|webp)$/
+
+export interface ResponsiveImage {
+  src: string
+  width: number
+  height: number
+  placeholder: string
+  sources: { type: string; srcSet: string }[]
+}
+
+// Only files sitting directly in the post directory get variants.
+function isLocalRaster(src: string) {
+  return raster.test(src) && /^(\.\/)?[^/]+$/.test(src)
+}
+
+function getWidths(intrinsicWidth: number) {
+  const largest = Math.min(intrinsicWidth, widths.at(-1)!)
+  return [...widths.filter((width) => width < largest), largest]
+}
+
+async function getPlaceholder(path: string, width: number, height: number) {
+  const tiny = await sharp(path).resize(16).webp({ quality: 40 }).toBuffer()
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}"><filter id="b" color-interpolation-filters="sRGB"><feGaussianBlur stdDeviation="20"/></filter><image preserveAspectRatio="none" filter="url(#b)" width="100%" height="100%" href="data:image/webp;base64,${tiny.toString('base64')}"/></svg>`
+  return `url("data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}")`
+}
+
+export async function getResponsiveImage(
+  slug: string,
+  src: string,
+): Promise<ResponsiveImage | null> {
+  if (!isLocalRaster(src)) {
+    return null
+  }
+  const file = src.replace(/^\.\//, '')
+  const path = `./public/${slug}/${file}`
+  const { width, height } = await sharp(path).metadata()
+  if (!width || !height) {
+    return null
+  }
+  return {
+    src: `/${slug}/${file}`,
+    width,
+    height,
+    placeholder: await getPlaceholder(path, width, height),
+    sources: formats.map((format) => ({
+      type: `image/${format}`,
+      srcSet: getWidths(width)
+        .map((w) => `/${slug}/images/${file}.${w}w.${format} ${w}w`)
+        .join(', '),
+    })),
+  }
+}
+
+export async function getImageVariants() {
+  const params: { slug: string; variant: string }[] = []
+  for (const { slug } of await getPosts()) {
+    const files = (await readdir(`./public/${slug}`)).filter(isLocalRaster)
+    for (const file of files.sort()) {
+      const { width } = await sharp(`./public/${slug}/${file}`).metadata()
+      for (const w of getWidths(width ?? widths[0])) {
+        for (const format of formats) {
+          params.push({ slug, variant: `${file}.${w}w.${format}` })
+        }
+      }
+    }
+  }
+  return params
+}
+
+export async function renderImageVariant(slug: string, variant: string) {
+  const match = variantPattern.exec(variant)
+  if (!match || !isLocalRaster(match[1])) {
+    return null
+  }
+  const [, file, width, format] = match
+  const image = sharp(`./public/${slug}/${file}`).resize({
+    width: Number(width),
+    withoutEnlargement: true,
+  })
+  const buffer =
+    format === 'avif'
+      ? await image.avif({ quality: 55, effort: 3 }).toBuffer()
+      : await image.webp({ quality: 75 }).toBuffer()
+  return { buffer, contentType: `image/${format}` }
+}
@@ -1,8 +1,11 @@
 import PlausibleProvider from 'next-plausible'
 import HomeLink from './HomeLink'
 import Link from './Link'
+import Search from './Search'
+import ThemeToggle from './ThemeToggle'
 import { serif } from './fonts'
 import './global.css'
+import { themeScript } from './theme'
 
 export const metadata = {
   metadataBase: new URL('https://sulhadin.com'),
@@ -14,21 +17,29 @@ export default function RootLayout({
   children,
 }: { children: React.ReactNode }) {
   return (
-    <html lang="en" className={serif.className}>
-      <body className="mx-auto max-w-2xl bg-[--bg] px-5 py-12 text-[--text]">
+    // The theme script sets data-theme before React hydrates.
+    <html lang="en" className={serif.className} suppressHydrationWarning>
+      <head>
+        <script dangerouslySetInnerHTML={{ __html: themeScript }} />
+      </head>
+      <body className="mx-auto max-w-2xl bg-[--bg] px-5 py-12 text-[--text] dark:antialiased">
         <PlausibleProvider domain="sulhadin.com">
           <header className="mb-14 flex flex-row place-content-between">
             <HomeLink />
-            <span className="relative top-[4px] italic">
-              by{' '}
-              <Link href="https://github.com/sulhadin" target="_blank">
-                <img
-                  alt="Sulhadin Öney"
-                  src="/avi.jpg"
-                  className="relative -top-1 mx-1 inline h-8 w-8 rounded-full"
-                />
-              </Link>
-            </span>
+            <div className="flex flex-row items-start gap-2 sm:gap-4">
+              <Search />
+              <ThemeToggle />
+              <span className="relative top-[4px] italic">
+                by{' '}
+                <Link href="https://github.com/sulhadin" target="_blank">
+                  <img
+                    alt="Sulhadin Öney"
+                    src="/avi.jpg"
+                    className="relative -top-1 mx-1 inline h-8 w-8 rounded-full"
+                  />
+                </Link>
+              </span>
+            </div>
           </header>
           <main>
             <Activity mode="visible">{children}</Activity>
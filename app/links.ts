@@ -0,0 +1,236 @@
+import { readFile, stat } from 'node:fs/promises'
+import { join } from 'node:path'
+import GithubSlugger from 'github-slugger'
+import { visit } from 'unist-util-visit'
+import { parsePost, toText } from './postText'
+import {
+  type Post,
+  getLocales,
+  getPost,
+  getPostFilename,
+  getPostPath,
+  getPosts,
+  getTranslations,
+} from './posts'
+
+interface Redirect {
+  from: string
+  to: string
+  line: number
+}
+
+interface Reference {
+  kind: 'link' | 'asset'
+  url: string
+  line: number
+  column: number
+}
+
+// Paths served by the app itself rather than by a post directory.
+const routes = new Set([
+  '/',
+  '/tags/',
+  '/atom.xml',
+  '/rss.xml',
+  '/feed.json',
+  '/search.json',
+  '/sitemap.xml',
+  '/robots.txt',
+])
+
+export class LinkCheckError extends Error {
+  constructor(readonly issues: string[]) {
+    super(
+      `Found ${issues.length} broken link${issues.length === 1 ? '' : 's'}:\n${issues
+        .map((i) => `  - ${i}`)
+        .join('\n')}`,
+    )
+    this.name = 'LinkCheckError'
+  }
+}
+
+async function exists(path: string) {
+  try {
+    return (await stat(path)).isFile()
+  } catch {
+    return false
+  }
+}
+
+function withSlash(pathname: string) {
+  return pathname.endsWith('/') ? pathname : `${pathname}/`
+}
+
+async function getRedirects(): Promise<Redirect[]> {
+  const file = await readFile('./public/_redirects', 'utf8').catch(() => '')
+  return file.split('\n').flatMap((text, i) => {
+    const [from, to] = text.replace(/#.*/, '').trim().split(/\s+/)
+    return from && to ? [{ from: withSlash(from), to, line: i + 1 }] : []
+  })
+}
+
+function getJsxUrl(node: any) {
+  const name = node.name === 'a' ? 'href' : 'src'
+  const attribute = node.attributes.find(
+    (a: any) => a.type === 'mdxJsxAttribute' && a.name === name,
+  )
+  return typeof attribute?.value === 'string' ? attribute.value : null
+}
+
+// Heading ids in document order, the same way rehype-slug assigns them.
+function getHeadingIds(tree: any) {
+  const slugger = new GithubSlugger()
+  const ids = new Set<string>()
+  visit(tree, 'heading', (node: any) => {
+    ids.add(slugger.slug(toText(node)))
+  })
+  return ids
+}
+
+function getReferences(tree: any) {
+  const references: Reference[] = []
+  const add = (kind: Reference['kind'], url: string | null, node: any) => {
+    if (url && !/^([a-z][a-z\d+.-]*:|\/\/)/i.test(url)) {
+      const { line, column } = node.position?.start ?? { line: 0, column: 0 }
+      references.push({ kind, url, line, column })
+    }
+  }
+  visit(tree, (node: any) => {
+    if (node.type === 'link' || node.type === 'definition') {
+      add('link', node.url, node)
+    } else if (node.type === 'image') {
+      add('asset', node.url, node)
+    } else if (
+      node.type === 'mdxJsxFlowElement' ||
+      node.type === 'mdxJsxTextElement'
+    ) {
+      if (node.name === 'a') {
+        add('link', getJsxUrl(node), node)
+      } else if (['img', 'Video', 'video', 'source'].includes(node.name)) {
+        add('asset', getJsxUrl(node), node)
+      }
+    }
+  })
+  return references
+}
+
+// Checks every internal link, anchor and local asset in the published posts
+// and their translations, plus redirect chains and targets in
+// public/_redirects. Throws one report for all of them so a single build
+// shows everything that needs fixing.
+export async function checkLinks() {
+  const posts = await getPosts()
+  const tags = new Set(posts.flatMap((post) => post.tags))
+  const tagFeeds = [...tags].flatMap((tag) => [
+    `/tags/${tag}/atom.xml`,
+    `/tags/${tag}/rss.xml`,
+  ])
+  const localeFeeds = (await getLocales()).flatMap((locale) => [
+    `/${locale}/atom.xml`,
+    `/${locale}/rss.xml`,
+  ])
+  const redirects = await getRedirects()
+  const redirectsFrom = new Map(redirects.map((r) => [r.from, r]))
+  const issues: string[] = []
+
+  // Every post page by its path, originals and translations alike.
+  const pages = new Map<string, { post: Post; filename: string; tree: any }>()
+  for (const post of [...posts, ...(await getTranslations())]) {
+    const filename = getPostFilename(post.slug, post.locale)
+    const { content } = await getPost(post.slug, post.locale)
+    const tree = await parsePost(filename, content)
+    pages.set(getPostPath(post), { post, filename, tree })
+  }
+
+  for (const redirect of redirects) {
+    const where = `./public/_redirects:${redirect.line}`
+    const next = redirectsFrom.get(withSlash(redirect.to))
+    if (next) {
+      // The last redirect in the chain gets its target checked.
+      issues.push(
+        `${where}: ${redirect.from} → ${redirect.to} → ${next.to} is a redirect chain, point it at ${next.to}`,
+      )
+      continue
+    }
+    const url = new URL(redirect.to, 'https://sulhadin.com/')
+    const pathname = decodeURIComponent(url.pathname)
+    if (
+      url.host === 'sulhadin.com' &&
+      !pages.has(withSlash(pathname)) &&
+      !routes.has(withSlash(pathname)) &&
+      !routes.has(pathname) &&
+      !localeFeeds.includes(pathname) &&
+      !tagFeeds.includes(pathname) &&
+      ![...tags].some((tag) => withSlash(pathname) === `/tags/${tag}/`) &&
+      !(await exists(join('./public', pathname)))
+    ) {
+      issues.push(
+        `${where}: ${redirect.from} → ${redirect.to} is not a post or a file`,
+      )
+    }
+  }
+  const headingIds = new Map(
+    [...pages].map(([path, { tree }]) => [path, getHeadingIds(tree)]),
+  )
+
+  for (const [path, { post, filename, tree }] of pages) {
+    const { slug } = post
+    const postUrl = `https://sulhadin.com${path}`
+    // Like the post page: relative links resolve against the original post,
+    // fragments against the page itself.
+    const baseUrl = `https://sulhadin.com/${slug}/`
+    for (const reference of getReferences(tree)) {
+      const where = `${filename}:${reference.line}:${reference.column}`
+      const url = new URL(
+        reference.url,
+        reference.url.startsWith('#') ? postUrl : baseUrl,
+      )
+      const pathname = decodeURIComponent(url.pathname)
+      const fragment = decodeURIComponent(url.hash.slice(1))
+
+      if (reference.kind === 'asset') {
+        // Post pages serve relative assets from the post's own directory.
+        const local = decodeURIComponent(reference.url.split(/[?#]/)[0])
+        const path = local.startsWith('/')
+          ? join('./public', local)
+          : join('./public', slug, local)
+        if (!(await exists(path))) {
+          issues.push(`${where}: ${reference.url} does not exist (${path})`)
+        }
+        continue
+      }
+
+      const [, first, ...rest] = pathname.split('/')
+      const page = pages.get(withSlash(pathname))
+      const redirect = redirectsFrom.get(withSlash(pathname))
+      if (redirect) {
+        issues.push(
+          `${where}: ${reference.url} redirects to ${redirect.to}, link there directly`,
+        )
+      } else if (
+        routes.has(withSlash(pathname)) ||
+        routes.has(pathname) ||
+        localeFeeds.includes(pathname) ||
+        tagFeeds.includes(pathname)
+      ) {
+        // Served by the app.
+      } else if (first === 'tags' && rest.filter(Boolean).length === 1) {
+        if (!tags.has(rest[0])) {
+          issues.push(`${where}: ${reference.url} points to unknown tag`)
+        }
+      } else if (page) {
+        if (fragment && !headingIds.get(withSlash(pathname))!.has(fragment)) {
+          issues.push(
+            `${where}: ${reference.url} has no heading #${fragment} in "${page.post.title}"`,
+          )
+        }
+      } else if (!(await exists(join('./public', pathname)))) {
+        issues.push(`${where}: ${reference.url} is not a post or a file`)
+      }
+    }
+  }
+
+  if (issues.length > 0) {
+    throw new LinkCheckError(issues)
+  }
+}
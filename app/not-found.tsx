@@ -22,11 +22,13 @@ export default function NotFound() {
           </Link>
         </p>
         <p>
-          If you're looking for translated posts, they're not on the site
-          anymore but you can find{' '}
+          If you're looking for translated posts, the old ones are not on the
+          site anymore but you can find{' '}
           <Link href="https://github.com/sulhadin/refactored">
             an archive of them here.
-          </Link>
+          </Link>{' '}
+          New translations live at /language/post/ (for example /tr/…/) and each
+          post links to the languages it's available in.
         </p>
         <p>Hope you'll find what you're looking for.</p>
       </div>
@@ -0,0 +1,264 @@
+import { readFile } from 'node:fs/promises'
+import ts from 'typescript'
+import { visit } from 'unist-util-visit'
+import { parsePost } from './postText'
+import { getPost, getPostFilename, getPosts } from './posts'
+
+// A post can ship its own components in public/<slug>/components.{tsx,ts,jsx,js}.
+// The module says which of its exports MDX may use:
+//
+//   export const mdx = {
+//     components: ['Chart', 'Counter'],
+//     wrapper: 'Wrapper',
+//     overrides: ['pre'],
+//   } satisfies ComponentsDeclaration
+//
+// Modules are usually 'use client', so the server can't read `mdx` at
+// runtime. The declaration is read from the source instead, which also lets
+// the build check it before anything renders.
+export interface ComponentsDeclaration {
+  // Export names usable as <Name /> in the post.
+  components: string[]
+  // Export that wraps the whole post body.
+  wrapper?: string
+  // Core markdown components (`pre`, `a`, …) the module deliberately replaces.
+  overrides?: string[]
+}
+
+export interface ComponentsModule extends Required<ComponentsDeclaration> {
+  file: string
+  extension: string
+  exports: Set<string>
+}
+
+const extensions = ['tsx', 'ts', 'jsx', 'js']
+
+export class ComponentsError extends Error {
+  constructor(readonly issues: string[]) {
+    super(
+      `Found ${issues.length} component problem${issues.length === 1 ? '' : 's'}:\n${issues
+        .map((i) => `  - ${i}`)
+        .join('\n')}`,
+    )
+    this.name = 'ComponentsError'
+  }
+}
+
+function getExportNames(source: ts.SourceFile) {
+  const names = new Set<string>()
+  for (const statement of source.statements) {
+    if (ts.isExportDeclaration(statement)) {
+      if (!statement.exportClause) {
+        throw new Error('`export * from` is not supported, name the exports')
+      }
+      if (ts.isNamedExports(statement.exportClause)) {
+        for (const element of statement.exportClause.elements) {
+          names.add(element.name.text)
+        }
+      }
+      continue
+    }
+    const modifiers = ts.canHaveModifiers(statement)
+      ? ts.getModifiers(statement)
+      : undefined
+    if (!modifiers?.some((m) => m.kind === ts.SyntaxKind.ExportKeyword)) {
+      continue
+    }
+    if (modifiers.some((m) => m.kind === ts.SyntaxKind.DefaultKeyword)) {
+      names.add('default')
+    } else if (ts.isVariableStatement(statement)) {
+      for (const declaration of statement.declarationList.declarations) {
+        if (ts.isIdentifier(declaration.name)) {
+          names.add(declaration.name.text)
+        }
+      }
+    } else if (
+      (ts.isFunctionDeclaration(statement) ||
+        ts.isClassDeclaration(statement)) &&
+      statement.name
+    ) {
+      names.add(statement.name.text)
+    }
+  }
+  return names
+}
+
+function getDeclaration(source: ts.SourceFile): ComponentsDeclaration {
+  let initializer: ts.Expression | undefined
+  for (const statement of source.statements) {
+    if (
+      ts.isVariableStatement(statement) &&
+      ts
+        .getModifiers(statement)
+        ?.some((m) => m.kind === ts.SyntaxKind.ExportKeyword)
+    ) {
+      const declaration = statement.declarationList.declarations.find(
+        (d) => ts.isIdentifier(d.name) && d.name.text === 'mdx',
+      )
+      initializer ??= declaration?.initializer
+    }
+  }
+  if (!initializer) {
+    throw new Error(
+      'does not declare its MDX components, add `export const mdx = { components: [...] }`',
+    )
+  }
+  while (
+    ts.isSatisfiesExpression(initializer) ||
+    ts.isAsExpression(initializer) ||
+    ts.isParenthesizedExpression(initializer)
+  ) {
+    initializer = initializer.expression
+  }
+  if (!ts.isObjectLiteralExpression(initializer)) {
+    throw new Error('`mdx` must be an object literal')
+  }
+  const declaration: ComponentsDeclaration = { components: [] }
+  for (const property of initializer.properties) {
+    const name =
+      property.name && ts.isIdentifier(property.name) ? property.name.text : ''
+    const value = ts.isPropertyAssignment(property)
+      ? property.initializer
+      : undefined
+    if (
+      (name === 'components' || name === 'overrides') &&
+      value &&
+      ts.isArrayLiteralExpression(value) &&
+      value.elements.every(ts.isStringLiteralLike)
+    ) {
+      declaration[name] = value.elements.map(
+        (e) => (e as ts.StringLiteralLike).text,
+      )
+    } else if (name === 'wrapper' && value && ts.isStringLiteralLike(value)) {
+      declaration.wrapper = value.text
+    } else {
+      throw new Error(
+        `unexpected \`mdx.${name || '?'}\`, expected string literals for components, wrapper and overrides`,
+      )
+    }
+  }
+  return declaration
+}
+
+// Finds and reads a post's components module without running it.
+export async function readComponentsModule(
+  slug: string,
+): Promise<ComponentsModule | null> {
+  for (const extension of extensions) {
+    const file = `./public/${slug}/components.${extension}`
+    const text = await readFile(file, 'utf8').catch(() => null)
+    if (text === null) {
+      continue
+    }
+    const source = ts.createSourceFile(file, text, ts.ScriptTarget.Latest)
+    try {
+      const {
+        components,
+        wrapper = '',
+        overrides = [],
+      } = getDeclaration(source)
+      return {
+        file,
+        extension,
+        exports: getExportNames(source),
+        components,
+        wrapper,
+        overrides,
+      }
+    } catch (error: any) {
+      throw new ComponentsError([`${file}: ${error.message}`])
+    }
+  }
+  return null
+}
+
+function getModuleIssues(mod: ComponentsModule, core: Set<string>) {
+  const issues: string[] = []
+  for (const name of [...mod.components, mod.wrapper].filter(Boolean)) {
+    if (!mod.exports.has(name)) {
+      issues.push(`${mod.file}: declares ${name} but doesn't export it`)
+    }
+  }
+  for (const name of mod.components) {
+    if (core.has(name) && !mod.overrides.includes(name)) {
+      issues.push(
+        `${mod.file}: ${name} would replace the core \`${name}\` component, list it in mdx.overrides if that's intended`,
+      )
+    }
+  }
+  for (const name of mod.overrides) {
+    if (!mod.components.includes(name)) {
+      issues.push(`${mod.file}: overrides ${name} but doesn't declare it`)
+    }
+  }
+  return issues
+}
+
+// Checks every published post: its components module is consistent, and
+// every <Component> its Markdown (or a translation's) uses is either core or
+// declared. Throws one report for all of them, like checkLinks().
+export async function checkComponents(coreNames: string[]) {
+  const core = new Set(coreNames)
+  const issues: string[] = []
+  for (const { slug, translations } of await getPosts()) {
+    let mod: ComponentsModule | null = null
+    try {
+      mod = await readComponentsModule(slug)
+    } catch (error) {
+      if (!(error instanceof ComponentsError)) {
+        throw error
+      }
+      issues.push(...error.issues)
+    }
+    if (mod) {
+      issues.push(...getModuleIssues(mod, core))
+    }
+    const available = new Set([...core, ...(mod?.components ?? [])])
+    for (const locale of [undefined, ...translations]) {
+      const filename = getPostFilename(slug, locale)
+      const { content } = await getPost(slug, locale)
+      const tree = await parsePost(filename, content)
+      visit(tree, (node: any) => {
+        if (
+          (node.type !== 'mdxJsxFlowElement' &&
+            node.type !== 'mdxJsxTextElement') ||
+          !node.name
+        ) {
+          return
+        }
+        // Lowercase names are plain HTML elements unless overridden.
+        const name = node.name.split('.')[0]
+        if (/^[a-z]/.test(name) || available.has(name)) {
+          return
+        }
+        const { line, column } = node.position?.start ?? { line: 0, column: 0 }
+        issues.push(
+          `${filename}:${line}:${column}: <${node.name}> is not a core component${
+            mod
+              ? ` or listed in ${mod.file} mdx.components`
+              : ', and the post has no components module'
+          }`,
+        )
+      })
+    }
+  }
+  if (issues.length > 0) {
+    throw new ComponentsError(issues)
+  }
+}
+
+// Imports the module and keeps only what it declared. Expects
+// checkComponents() to have passed.
+export async function loadPostComponents(slug: string) {
+  const mod = await readComponentsModule(slug)
+  if (!mod) {
+    return { components: {}, Wrapper: undefined }
+  }
+  const exports = await import(`../public/${slug}/components.${mod.extension}`)
+  return {
+    components: Object.fromEntries(
+      mod.components.map((name) => [name, exports[name]]),
+    ),
+    Wrapper: mod.wrapper ? exports[mod.wrapper] : undefined,
+  }
+}
@@ -0,0 +1,215 @@
+import { toHtml } from 'hast-util-to-html'
+import remarkMdx from 'remark-mdx'
+import remarkParse from 'remark-parse'
+import remarkRehype from 'remark-rehype'
+import { unified } from 'unified'
+import { visit } from 'unist-util-visit'
+import { getMdxPlugins } from './[slug]/mdx'
+
+const site_url = 'https://sulhadin.com/'
+
+// Renders a post to standalone HTML for feed readers. Interactive parts can't
+// run there, so they become a link back to the post at `pageUrl` instead.
+// Relative URLs resolve against the original post, where the assets are, and
+// fragments against the page itself, which may be a translation.
+export async function renderPostHtml(
+  slug: string,
+  filename: string,
+  content: string,
+  pageUrl = `${site_url}${slug}/`,
+) {
+  const { remarkPlugins, rehypePlugins } = getMdxPlugins(filename)
+
+  const processor = unified()
+    .use(remarkParse)
+    .use(remarkMdx)
+    .use(remarkPlugins)
+    .use(remarkRehype, { handlers: getMdxHandlers(pageUrl) })
+    .use(rehypePlugins)
+    .use(rehypeFeed, { pageUrl, baseUrl: `${site_url}${slug}/` })
+
+  const tree = await processor.run(processor.parse(content))
+  return toHtml(tree as any)
+}
+
+function getMdxHandlers(postUrl: string) {
+  const fallback = (inline: boolean) => {
+    const link = {
+      type: 'element',
+      tagName: 'a',
+      properties: { href: postUrl },
+      children: [
+        {
+          type: 'text',
+          value: 'This part is interactive. View it on the site.',
+        },
+      ],
+    }
+    return inline
+      ? link
+      : {
+          type: 'element',
+          tagName: 'p',
+          properties: {},
+          children: [
+            {
+              type: 'element',
+              tagName: 'em',
+              properties: {},
+              children: [link],
+            },
+          ],
+        }
+  }
+
+  const jsxElement = (state: any, node: any) => {
+    const inline = node.type === 'mdxJsxTextElement'
+    if (!node.name) {
+      return state.all(node)
+    }
+    if (node.name === 'Video') {
+      return {
+        type: 'element',
+        tagName: 'video',
+        properties: { ...getJsxAttributes(node), controls: true },
+        children: [],
+      }
+    }
+    if (node.name === 'Figure') {
+      const { caption, ...properties } = getJsxAttributes(node)
+      const children = state.all(node)
+      if (typeof caption === 'string') {
+        children.push({
+          type: 'element',
+          tagName: 'figcaption',
+          properties: {},
+          children: [{ type: 'text', value: caption }],
+        })
+      }
+      return { type: 'element', tagName: 'figure', properties, children }
+    }
+    // Live code blocks read fine as the highlighted code they wrap.
+    if (node.name === 'LiveCode') {
+      return state.all(node)
+    }
+    if (/^[A-Z]/.test(node.name) || node.name.includes('.')) {
+      return fallback(inline)
+    }
+    return {
+      type: 'element',
+      tagName: node.name,
+      properties: getJsxAttributes(node),
+      children: state.all(node),
+    }
+  }
+
+  // Comment-only expressions have an empty program and can be dropped.
+  const expression = (_state: any, node: any) => {
+    if (node.data?.estree?.body.length) {
+      return fallback(node.type === 'mdxTextExpression')
+    }
+  }
+
+  return {
+    mdxjsEsm: () => undefined,
+    mdxFlowExpression: expression,
+    mdxTextExpression: expression,
+    mdxJsxFlowElement: jsxElement,
+    mdxJsxTextElement: jsxElement,
+  } as any
+}
+
+function getJsxAttributes(node: any) {
+  const properties: Record<string, string | boolean> = {}
+  for (const attribute of node.attributes) {
+    if (attribute.type !== 'mdxJsxAttribute') {
+      continue
+    }
+    if (attribute.value === null || attribute.value === undefined) {
+      properties[attribute.name] = true
+    } else if (typeof attribute.value === 'string') {
+      properties[attribute.name] = attribute.value
+    }
+  }
+  return properties
+}
+
+const diffMarkers: Record<string, string> = { add: '+', remove: '-' }
+
+function hasDiff(code: any) {
+  return code.children.some((line: any) => line.properties?.dataDiff)
+}
+
+// Shiki leaves code colors as --shiki-light/--shiki-dark variables for
+// markdown.css to choose from. Feeds have no stylesheet, so the dark theme's
+// values are written out as plain properties.
+const codeThemeProperties: Record<string, string> = {
+  '': 'color',
+  '-bg': 'background-color',
+  '-font-style': 'font-style',
+  '-font-weight': 'font-weight',
+  '-text-decoration': 'text-decoration',
+}
+
+function resolveCodeTheme(style: string) {
+  return style
+    .split(';')
+    .flatMap((declaration) => {
+      const [name, ...value] = declaration.split(':')
+      const match = /^\s*--shiki-(light|dark)(.*?)\s*$/.exec(name)
+      if (!match) {
+        return declaration.trim() ? [declaration] : []
+      }
+      const property = codeThemeProperties[match[2]]
+      return match[1] === 'dark' && property
+        ? [`${property}:${value.join(':')}`]
+        : []
+    })
+    .join(';')
+}
+
+function rehypeFeed({
+  pageUrl,
+  baseUrl,
+}: { pageUrl: string; baseUrl: string }) {
+  const absolute = (value: unknown) => {
+    if (typeof value !== 'string' || /^([a-z][a-z\d+.-]*:|\/\/)/i.test(value)) {
+      return value
+    }
+    return new URL(value, value.startsWith('#') ? pageUrl : baseUrl).href
+  }
+
+  return (tree: any) => {
+    visit(tree, 'element', (node: any, index: number, parent: any) => {
+      const { properties } = node
+      // Feed readers have no margin; the footnotes list is enough. Nor
+      // KaTeX's stylesheet, so math is left to its MathML.
+      if (
+        properties.className?.includes('sidenote') ||
+        properties.className?.includes('katex-html')
+      ) {
+        parent.children.splice(index, 1)
+        return index
+      }
+      for (const name of ['href', 'src', 'poster']) {
+        if (name in properties) {
+          properties[name] = absolute(properties[name])
+        }
+      }
+      // Without markdown.css the diff markers have to be in the text.
+      if (node.tagName === 'code' && hasDiff(node)) {
+        for (const line of node.children) {
+          if (line.type === 'element') {
+            line.children.unshift({
+              type: 'text',
+              value: diffMarkers[line.properties.dataDiff] ?? ' ',
+            })
+          }
+        }
+      }
+      if (typeof properties.style === 'string') {
+        properties.style = resolveCodeTheme(properties.style)
+      }
+    })
+  }
+}
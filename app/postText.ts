@@ -0,0 +1,122 @@
+import GithubSlugger from 'github-slugger'
+import remarkGfm from 'remark-gfm'
+import remarkMdx from 'remark-mdx'
+import remarkParse from 'remark-parse'
+import { unified } from 'unified'
+import { visit } from 'unist-util-visit'
+import { getMdxPlugins } from './[slug]/mdx'
+
+export interface Section {
+  // Heading id as assigned by rehype-slug, empty for the intro.
+  id: string
+  heading: string
+  text: string
+}
+
+// Nodes that don't read as prose: code, MDX imports and expressions.
+const skipped = new Set([
+  'code',
+  'html',
+  'mdxjsEsm',
+  'mdxFlowExpression',
+  'mdxTextExpression',
+])
+
+// Nodes whose children run together inline; everything else is a block.
+const phrasing = new Set([
+  'paragraph',
+  'heading',
+  'emphasis',
+  'strong',
+  'delete',
+  'link',
+  'linkReference',
+  'tableCell',
+  'mdxJsxTextElement',
+])
+
+export interface ReadingStats {
+  words: number
+  codeLines: number
+  // Whole minutes, never less than one.
+  readingTime: number
+}
+
+// Embedded components are demos to play with rather than text to read.
+const notRead = new Set([...skipped, 'mdxJsxFlowElement', 'mdxJsxTextElement'])
+
+const readingStatsCache = new Map<string, ReadingStats>()
+
+const wordsPerMinute = 230
+const codeLinesPerMinute = 40
+
+export function toText(node: any, skip = skipped): string {
+  if (skip.has(node.type)) {
+    return ''
+  }
+  if (typeof node.value === 'string') {
+    return node.value
+  }
+  if (node.alt) {
+    return node.alt
+  }
+  const separator = phrasing.has(node.type) ? '' : ' '
+  return (node.children ?? [])
+    .map((child: any) => toText(child, skip))
+    .join(separator)
+}
+
+export async function parsePost(filename: string, content: string) {
+  const { remarkPlugins } = getMdxPlugins(filename)
+  const processor = unified().use(remarkParse).use(remarkMdx).use(remarkPlugins)
+  return processor.run(processor.parse(content))
+}
+
+// Splits a post at its headings so search results can link to the closest
+// anchor.
+export async function getSections(
+  filename: string,
+  content: string,
+): Promise<Section[]> {
+  const tree: any = await parsePost(filename, content)
+  const slugger = new GithubSlugger()
+  const sections: Section[] = [{ id: '', heading: '', text: '' }]
+  for (const node of tree.children) {
+    if (node.type === 'heading') {
+      const heading = toText(node)
+      sections.push({ id: slugger.slug(heading), heading, text: '' })
+      continue
+    }
+    const text = toText(node).replace(/\s+/g, ' ').trim()
+    if (text) {
+      const section = sections.at(-1)!
+      section.text = section.text ? `${section.text} ${text}` : text
+    }
+  }
+  return sections
+}
+
+// Prose and code are counted apart: code blocks (eval ones included) are
+// skimmed line by line rather than read word by word.
+export function getReadingStats(content: string): ReadingStats {
+  // getPosts() runs for nearly every page, parse each post only once.
+  const cached = readingStatsCache.get(content)
+  if (cached) {
+    return cached
+  }
+  const processor = unified().use(remarkParse).use(remarkMdx).use(remarkGfm)
+  const tree: any = processor.runSync(processor.parse(content))
+  const words = toText(tree, notRead).split(/\s+/).filter(Boolean).length
+  let codeLines = 0
+  visit(tree, 'code', (node: any) => {
+    codeLines += node.value.split('\n').filter((line) => line.trim()).length
+  })
+  const minutes = words / wordsPerMinute + codeLines / codeLinesPerMinute
+  const stats = {
+    words,
+    codeLines,
+    readingTime: Math.max(1, Math.round(minutes)),
+  }
+  readingStatsCache.set(content, stats)
+  return stats
+}
@@ -1,16 +1,34 @@
 import { readFile, readdir } from 'node:fs/promises'
 import { Feed } from 'feed'
 import matter from 'gray-matter'
+import {
+  type Frontmatter,
+  FrontmatterError,
+  parseFrontmatter,
+} from './frontmatter'
+import { renderPostHtml } from './postHtml'
+import { type ReadingStats, getReadingStats } from './postText'
 
-export interface Post {
+export interface Post extends Frontmatter, ReadingStats {
   slug: string
-  title: string
-  date: string
-  spoiler: string
-  youtube?: string
-  bluesky?: string
+  tags: string[]
+  // Set on translations, e.g. 'tr' for index.tr.md.
+  locale?: string
+  // Locales this post is also available in, the same on the original and on
+  // every translation.
+  translations: string[]
 }
 
+// Posts are written in English. Translations sit next to them as
+// public/<slug>/index.<locale>.md and are served at /<locale>/<slug>/.
+export const defaultLocale = 'en'
+
+const translationFile = /^index\.([a-z]{2,3}(?:-[a-z\d]{2,8})*)\.md$/i
+
+// A static export fails on a dynamic route without params. While no
+// translation is published, the locale routes build this one, which 404s.
+export const placeholderLocale = '_'
+
 export const metadata = {
   title: 'refactored — A blog by Sulhadin Öney',
   description: 'A blog by Sulhadin Öney',
@@ -21,32 +39,197 @@ export const metadata = {
     types: {
       'application/atom+xml': 'https://sulhadin.com/atom.xml',
       'application/rss+xml': 'https://sulhadin.com/rss.xml',
+      'application/feed+json': 'https://sulhadin.com/feed.json',
     },
   },
 }
 
+// `next dev` shows drafts and scheduled posts so they can be previewed.
+const showUnpublished = process.env.NODE_ENV !== 'production'
+
+export function isPublished(post: Frontmatter) {
+  return !post.draft && Date.parse(post.date) <= Date.now()
+}
+
+export function getPostFilename(slug: string, locale?: string) {
+  return `./public/${slug}/index${locale ? `.${locale}` : ''}.md`
+}
+
+export function getPostPath({
+  slug,
+  locale,
+}: { slug: string; locale?: string }) {
+  return locale ? `/${locale}/${slug}/` : `/${slug}/`
+}
+
+// The generated app/[slug]/opengraph-image (or its translation's).
+export function getPostImageUrl(post: { slug: string; locale?: string }) {
+  return `https://sulhadin.com${getPostPath(post)}opengraph-image`
+}
+
+// hreflang paths for a post and its translations, undefined when it has none.
+export function getAlternateLanguages({ slug, translations }: Post) {
+  if (translations.length === 0) {
+    return undefined
+  }
+  return {
+    [defaultLocale]: getPostPath({ slug }),
+    ...Object.fromEntries(
+      translations.map((locale) => [locale, getPostPath({ slug, locale })]),
+    ),
+    'x-default': getPostPath({ slug }),
+  }
+}
+
+export function formatDate(date: string, locale = defaultLocale) {
+  return new Date(date).toLocaleDateString(locale, {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+  })
+}
+
+// Locales the post is translated into. Unpublished translations count only
+// where unpublished posts are shown, so nothing links to a missing page.
+async function getTranslationLocales(slug: string) {
+  const files = await readdir(`./public/${slug}/`)
+  const locales = files
+    .flatMap((file) => translationFile.exec(file)?.[1] ?? [])
+    .sort()
+  if (showUnpublished || locales.length === 0) {
+    return locales
+  }
+  const original = await readFrontmatter(getPostFilename(slug))
+  const published = await Promise.all(
+    locales.map(async (locale) => {
+      const filename = getPostFilename(slug, locale)
+      const data = await readFrontmatter(filename)
+      return isPublished(parseFrontmatter(filename, { ...original, ...data }))
+    }),
+  )
+  return locales.filter((_, i) => published[i])
+}
+
+async function readFrontmatter(filename: string) {
+  return matter(await readFile(filename, 'utf8')).data
+}
+
+export async function getPost(
+  slug: string,
+  locale?: string,
+): Promise<{ post: Post; content: string }> {
+  const filename = getPostFilename(slug, locale)
+  const file = await readFile(filename, 'utf8')
+  const { content: body, data } = matter(file)
+  // Blank lines in place of the frontmatter keep Markdown positions equal to
+  // line numbers in the file, so build errors can point at the right line.
+  const frontmatterLines = file.slice(0, file.lastIndexOf(body)).split('\n')
+  const content = '\n'.repeat(frontmatterLines.length - 1) + body
+  // A translation only needs the fields it translates, usually the title and
+  // spoiler. The rest comes from the original.
+  const original = locale ? await readFrontmatter(getPostFilename(slug)) : {}
+  const post = {
+    slug,
+    tags: [],
+    ...parseFrontmatter(filename, { ...original, ...data }),
+    ...getReadingStats(body),
+    locale,
+    translations: await getTranslationLocales(slug),
+  }
+  return { post, content }
+}
+
+// Waits for every post before failing so one build reports all of them.
+async function settlePosts(loading: Promise<{ post: Post }>[]) {
+  const results = await Promise.allSettled(loading)
+  const issues = results.flatMap((result) => {
+    if (result.status === 'fulfilled') {
+      return []
+    }
+    if (result.reason instanceof FrontmatterError) {
+      return result.reason.issues
+    }
+    throw result.reason
+  })
+  if (issues.length > 0) {
+    throw new FrontmatterError(issues)
+  }
+  const posts = results
+    .map(
+      (result) => (result as PromiseFulfilledResult<{ post: Post }>).value.post,
+    )
+    .filter((post) => showUnpublished || isPublished(post))
+  posts.sort((a, b) => {
+    return Date.parse(a.date) < Date.parse(b.date) ? 1 : -1
+  })
+  return posts
+}
+
 export async function getPosts(): Promise<Post[]> {
   const entries = await readdir('./public/', { withFileTypes: true })
   const dirs = entries
     .filter((entry) => entry.isDirectory())
     .map((entry) => entry.name)
-  const fileContents = await Promise.all(
-    dirs.map((dir) => readFile(`./public/${dir}/index.md`, 'utf8')),
+  return settlePosts(dirs.map((slug) => getPost(slug)))
+}
+
+// Translations of the listed posts, all of them or those in one locale.
+export async function getTranslations(locale?: string): Promise<Post[]> {
+  const posts = await getPosts()
+  return settlePosts(
+    posts.flatMap((post) =>
+      post.translations
+        .filter((l) => !locale || l === locale)
+        .map((l) => getPost(post.slug, l)),
+    ),
   )
-  const posts = dirs.map((slug, i) => {
-    const fileContent = fileContents[i]
-    const { data } = matter(fileContent)
-    return { slug, ...data }
-  })
-  posts.sort((a: any, b: any) => {
-    return Date.parse(a.date) < Date.parse(b.date) ? 1 : -1
-  })
-  return posts as Post[]
 }
 
-export async function generateFeed() {
+export async function getLocales(): Promise<string[]> {
+  const translations = await getTranslations()
+  return [...new Set(translations.map((post) => post.locale!))].sort()
+}
+
+// A language's name in that language, for switchers and feed titles.
+export function getLanguageName(locale: string) {
+  const name = new Intl.DisplayNames([locale], { type: 'language' }).of(locale)
+  return name ? name[0].toLocaleUpperCase(locale) + name.slice(1) : locale
+}
+
+export async function getTags(): Promise<Map<string, Post[]>> {
+  const posts = await getPosts()
+  const tags = new Map<string, Post[]>()
+  for (const post of posts) {
+    for (const tag of post.tags) {
+      tags.set(tag, [...(tags.get(tag) ?? []), post])
+    }
+  }
+  return new Map([...tags].sort(([a], [b]) => a.localeCompare(b)))
+}
+
+// Posts in the same series as `post`, oldest first.
+export async function getSeries(post: Post): Promise<Post[]> {
+  if (!post.series) {
+    return []
+  }
   const posts = await getPosts()
+  return posts.filter((p) => p.series === post.series).reverse()
+}
+
+export async function generateFeed({
+  tag,
+  locale,
+}: { tag?: string; locale?: string } = {}) {
+  const allPosts = locale ? await getTranslations(locale) : await getPosts()
+  const posts = tag
+    ? allPosts.filter((post) => post.tags.includes(tag))
+    : allPosts
   const site_url = 'https://sulhadin.com/'
+  const feed_url = tag
+    ? `${site_url}tags/${tag}/`
+    : locale
+      ? `${site_url}${locale}/`
+      : site_url
 
   const feedOptions = {
     author: {
@@ -56,25 +239,58 @@ export async function generateFeed() {
     },
     description: metadata.description,
     favicon: `${site_url}/icon.png`,
-    feedLinks: { atom: `${site_url}atom.xml`, rss: `${site_url}rss.xml` },
+    feedLinks: {
+      atom: `${feed_url}atom.xml`,
+      rss: `${feed_url}rss.xml`,
+      // Only the main feed comes as JSON.
+      json: tag || locale ? undefined : `${site_url}feed.json`,
+    },
     generator: 'Feed for Node.js',
-    id: site_url,
+    id: feed_url,
     image: 'https://github.com/sulhadin.png',
-    link: site_url,
-    title: metadata.title,
+    // Locales have feeds but no index page of their own.
+    link: tag ? feed_url : site_url,
+    title: tag
+      ? `${metadata.title} — #${tag}`
+      : locale
+        ? `${metadata.title} — ${getLanguageName(locale)}`
+        : metadata.title,
+    language: locale ?? defaultLocale,
   }
 
   const feed = new Feed(feedOptions as any)
 
   for (const post of posts) {
+    const { content } = await getPost(post.slug, post.locale)
+    const url = `${site_url}${getPostPath(post).slice(1)}`
     feed.addItem({
       date: new Date(post.date),
+      published: new Date(post.date),
       description: post.spoiler,
-      id: `${site_url}${post.slug}/`,
-      link: `${site_url}${post.slug}/`,
+      content: await renderPostHtml(
+        post.slug,
+        getPostFilename(post.slug, post.locale),
+        content,
+        url,
+      ),
+      id: url,
+      link: url,
       title: post.title,
+      category: post.tags.map((name) => ({ name })),
     })
   }
 
   return feed
 }
+
+// feed only writes JSON Feed 1.0. In 1.1 `author` became `authors`, and the
+// feed can say its language.
+export function toJsonFeed(feed: Feed) {
+  const { author, ...json } = JSON.parse(feed.json1())
+  return {
+    ...json,
+    version: 'https://jsonfeed.org/version/1.1',
+    language: feed.options.language,
+    authors: [author],
+  }
+}
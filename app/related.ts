@@ -0,0 +1,109 @@
+import { getSections } from './postText'
+import { type Post, getPost, getPostFilename, getPosts } from './posts'
+import { tokenize } from './search'
+
+// How much each signal counts towards the final score.
+const weights = { tags: 0.3, headings: 0.2, terms: 0.5 }
+
+interface Profile {
+  post: Post
+  headings: Set<string>
+  terms: Map<string, number>
+}
+
+function jaccard<T>(a: Set<T>, b: Set<T>) {
+  if (a.size === 0 || b.size === 0) {
+    return 0
+  }
+  let shared = 0
+  for (const item of a) {
+    if (b.has(item)) {
+      shared++
+    }
+  }
+  return shared / (a.size + b.size - shared)
+}
+
+function cosine(a: Map<string, number>, b: Map<string, number>) {
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  for (const [term, weight] of a) {
+    normA += weight * weight
+    dot += weight * (b.get(term) ?? 0)
+  }
+  for (const weight of b.values()) {
+    normB += weight * weight
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0
+}
+
+let profilesPromise: Promise<Profile[]> | null = null
+
+// Parsing every post is the expensive part, so it happens once per build
+// rather than once per page. `next dev` keeps modules between requests, so
+// there it happens every time to pick up edits.
+function getProfiles() {
+  if (process.env.NODE_ENV !== 'production') {
+    return buildProfiles()
+  }
+  profilesPromise ??= buildProfiles()
+  return profilesPromise
+}
+
+async function buildProfiles(): Promise<Profile[]> {
+  const posts = await getPosts()
+  const profiles = await Promise.all(
+    posts.map(async (post) => {
+      const { content } = await getPost(post.slug)
+      const sections = await getSections(getPostFilename(post.slug), content)
+      const headings = new Set(sections.flatMap((s) => tokenize(s.heading)))
+      const terms = new Map<string, number>()
+      for (const section of sections) {
+        for (const term of tokenize(`${section.heading} ${section.text}`)) {
+          terms.set(term, (terms.get(term) ?? 0) + 1)
+        }
+      }
+      return { post, headings, terms }
+    }),
+  )
+  // Turn raw counts into TF-IDF so words every post uses don't count.
+  const documentFrequency = new Map<string, number>()
+  for (const { terms } of profiles) {
+    for (const term of terms.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) ?? 0) + 1)
+    }
+  }
+  for (const { terms } of profiles) {
+    for (const [term, count] of terms) {
+      const idf = Math.log(profiles.length / documentFrequency.get(term)!)
+      terms.set(term, (1 + Math.log(count)) * idf)
+    }
+  }
+  return profiles
+}
+
+// Scores every other post against `slug`, leaving out those with nothing in
+// common. Ties fall back to the slug so the static output doesn't change
+// between builds.
+export async function getRelatedPosts(slug: string, limit = 3) {
+  const profiles = await getProfiles()
+  const current = profiles.find((profile) => profile.post.slug === slug)
+  if (!current) {
+    return []
+  }
+  const currentTags = new Set(current.post.tags)
+  return profiles
+    .filter((profile) => profile !== current)
+    .map((profile) => ({
+      post: profile.post,
+      score:
+        weights.tags * jaccard(currentTags, new Set(profile.post.tags)) +
+        weights.headings * jaccard(current.headings, profile.headings) +
+        weights.terms * cosine(current.terms, profile.terms),
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.post.slug.localeCompare(b.post.slug))
+    .slice(0, limit)
+    .map(({ post }) => post)
+}
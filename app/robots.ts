@@ -0,0 +1,10 @@
+import type { MetadataRoute } from 'next'
+
+export const dynamic = 'force-static'
+
+export default function robots(): MetadataRoute.Robots {
+  return {
+    rules: { userAgent: '*', allow: '/' },
+    sitemap: 'https://sulhadin.com/sitemap.xml',
+  }
+}
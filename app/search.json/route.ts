@@ -0,0 +1,41 @@
+import { getSections } from '../postText'
+import { getPost, getPostFilename, getPosts } from '../posts'
+import { type SearchIndex, tokenize } from '../search'
+
+export const dynamic = 'force-static'
+
+// Matches in titles and headings count for more than matches in the body.
+const weights = { title: 10, heading: 5, text: 1 }
+
+export async function GET() {
+  const posts = await getPosts()
+  const sections: SearchIndex['sections'] = []
+  const terms = new Map<string, number[]>()
+  for (const post of posts) {
+    const { content } = await getPost(post.slug)
+    const postSections = await getSections(getPostFilename(post.slug), content)
+    postSections.forEach((section, i) => {
+      const counts = new Map<string, number>()
+      const add = (text: string, weight: number) => {
+        for (const term of tokenize(text)) {
+          counts.set(term, (counts.get(term) ?? 0) + weight)
+        }
+      }
+      if (i === 0) {
+        add(post.title, weights.title)
+      }
+      add(section.heading, weights.heading)
+      add(section.text, weights.text)
+      if (counts.size === 0) {
+        return
+      }
+      const id = sections.length
+      sections.push([post.slug, post.title, section.id, section.heading])
+      for (const [term, weight] of counts) {
+        terms.set(term, [...(terms.get(term) ?? []), id, weight])
+      }
+    })
+  }
+  const index: SearchIndex = { sections, terms: Object.fromEntries(terms) }
+  return Response.json(index)
+}
@@ -0,0 +1,90 @@
+// Shared by the build step that writes /search.json and the search box that
+// reads it, so both sides split words the same way.
+
+export interface SearchIndex {
+  // [slug, post title, heading id, heading text] per post section.
+  sections: [string, string, string, string][]
+  // term -> flat [section, weight, section, weight, ...] postings.
+  terms: Record<string, number[]>
+}
+
+export interface SearchResult {
+  href: string
+  title: string
+  heading: string
+  score: number
+}
+
+const stopWords = new Set(
+  'a an and are as at be but by for from has have i if in into is it its of on or so that the their then there these this to was we were what when which will with you your'.split(
+    ' ',
+  ),
+)
+
+export function tokenize(text: string): string[] {
+  return text
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length > 1 && !stopWords.has(word))
+}
+
+export function search(
+  index: SearchIndex,
+  query: string,
+  limit = 8,
+): SearchResult[] {
+  const words = tokenize(query)
+  if (words.length === 0) {
+    return []
+  }
+  const total = index.sections.length
+  const vocabulary = Object.keys(index.terms)
+  let scores: Map<number, number> | null = null
+
+  words.forEach((word, i) => {
+    // The word being typed matches as a prefix, finished words exactly.
+    const isLast = i === words.length - 1
+    const matches = isLast
+      ? vocabulary.filter((term) => term.startsWith(word))
+      : Object.hasOwn(index.terms, word)
+        ? [word]
+        : []
+    const wordScores = new Map<number, number>()
+    for (const term of matches) {
+      const postings = index.terms[term]
+      const idf = Math.log(1 + total / (postings.length / 2))
+      // Exact hits rank above longer words that merely share the prefix.
+      const closeness = term === word ? 1 : word.length / term.length
+      for (let p = 0; p < postings.length; p += 2) {
+        const section = postings[p]
+        const score = postings[p + 1] * idf * closeness
+        wordScores.set(section, (wordScores.get(section) ?? 0) + score)
+      }
+    }
+    // Every word has to match somewhere in the section.
+    const previous: Map<number, number> | null = scores
+    scores = new Map()
+    for (const [section, score] of wordScores) {
+      if (previous === null) {
+        scores.set(section, score)
+      } else if (previous.has(section)) {
+        scores.set(section, previous.get(section)! + score)
+      }
+    }
+  })
+
+  return [...(scores ?? new Map<number, number>())]
+    .sort(([a, x], [b, y]) => y - x || a - b)
+    .slice(0, limit)
+    .map(([section, score]) => {
+      const [slug, title, id, heading] = index.sections[section]
+      return {
+        href: id ? `/${slug}/#${id}` : `/${slug}/`,
+        title,
+        heading,
+        score,
+      }
+    })
+}
@@ -0,0 +1,48 @@
+import type { MetadataRoute } from 'next'
+import {
+  getAlternateLanguages,
+  getPostImageUrl,
+  getPostPath,
+  getPosts,
+  getTags,
+  getTranslations,
+} from './posts'
+
+export const dynamic = 'force-static'
+
+const site_url = 'https://sulhadin.com'
+
+// Every page the export has, dated by the newest post on it. Post entries
+// carry their OpenGraph image and hreflang alternates.
+export default async function sitemap(): Promise<MetadataRoute.Sitemap> {
+  const posts = await getPosts()
+  const translations = await getTranslations()
+  const tags = await getTags()
+  const latest = posts[0]?.date
+  const absolute = (languages?: Record<string, string>) =>
+    languages &&
+    Object.fromEntries(
+      Object.entries(languages).map(([locale, path]) => [
+        locale,
+        `${site_url}${path}`,
+      ]),
+    )
+  return [
+    {
+      url: `${site_url}/`,
+      lastModified: latest,
+      images: [`${site_url}/opengraph-image`],
+    },
+    { url: `${site_url}/tags/`, lastModified: latest },
+    ...[...tags].map(([tag, tagged]) => ({
+      url: `${site_url}/tags/${tag}/`,
+      lastModified: tagged[0].date,
+    })),
+    ...[...posts, ...translations].map((post) => ({
+      url: `${site_url}${getPostPath(post)}`,
+      lastModified: post.date,
+      images: [getPostImageUrl(post)],
+      alternates: { languages: absolute(getAlternateLanguages(post)) },
+    })),
+  ]
+}
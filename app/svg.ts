@@ -0,0 +1,346 @@
+import { fromHtml } from 'hast-util-from-html'
+import { SKIP, visit } from 'unist-util-visit'
+
+// Inline SVGs follow the color scheme: the wrapper applies --svg-filter, which
+// inverts them in dark mode, and palette colors become CSS custom properties.
+// White maps to --bg-rotated, the color the filter turns into the page
+// background. Posts can add their own with `svgPalette` in the frontmatter.
+export const svgFilter = 'var(--svg-filter)'
+
+export const defaultPalette: Record<string, string> = {
+  '#ffffff': '--bg-rotated',
+}
+
+export interface SvgOptions {
+  // Accessible name. Without one the SVG is hidden from assistive tech.
+  alt?: string
+  // Largest width as a CSS length. Defaults to the SVG's own width.
+  width?: string
+  palette?: Record<string, string>
+}
+
+// Presentation attributes that take a color, by hast property name.
+const colorProperties: Record<string, string> = {
+  fill: 'fill',
+  stroke: 'stroke',
+  color: 'color',
+  stopColor: 'stop-color',
+}
+
+const namedColors: Record<string, string> = {
+  white: '#ffffff',
+  black: '#000000',
+}
+
+// The SVG ends up inside the page's HTML, so only what draws is kept:
+// shapes, text, paint servers and the structure they hang off. Anything else
+// (scripts, animation, links, foreignObject, <style>, filters, images) goes
+// with everything inside it. Diagram editors that put labels in
+// foreignObject usually add a <switch> with a plain <text> fallback.
+const allowedElements = new Set([
+  'svg',
+  'g',
+  'defs',
+  'symbol',
+  'use',
+  'switch',
+  'title',
+  'desc',
+  'path',
+  'rect',
+  'circle',
+  'ellipse',
+  'line',
+  'polyline',
+  'polygon',
+  'text',
+  'tspan',
+  'textPath',
+  'linearGradient',
+  'radialGradient',
+  'stop',
+  'pattern',
+  'clipPath',
+  'mask',
+  'marker',
+])
+
+// Geometry, presentation attributes and a few structural ones, by hast
+// property name. Event handlers, data-* and the like are dropped.
+const allowedProperties = new Set([
+  // Structure
+  'id',
+  'className',
+  'style',
+  'transform',
+  'viewBox',
+  'preserveAspectRatio',
+  'xmlns',
+  'xmlnsXLink',
+  'xmlSpace',
+  'xmlLang',
+  'lang',
+  'href',
+  'xLinkHref',
+  'requiredFeatures',
+  'systemLanguage',
+  // Geometry
+  'x',
+  'y',
+  'x1',
+  'y1',
+  'x2',
+  'y2',
+  'cx',
+  'cy',
+  'r',
+  'rx',
+  'ry',
+  'fx',
+  'fy',
+  'fr',
+  'd',
+  'points',
+  'pathLength',
+  'width',
+  'height',
+  'dx',
+  'dy',
+  'rotate',
+  'textLength',
+  'lengthAdjust',
+  'startOffset',
+  'method',
+  'spacing',
+  'side',
+  // Paint servers, clips and markers
+  'offset',
+  'gradientUnits',
+  'gradientTransform',
+  'spreadMethod',
+  'patternUnits',
+  'patternContentUnits',
+  'patternTransform',
+  'clipPathUnits',
+  'maskUnits',
+  'maskContentUnits',
+  'markerWidth',
+  'markerHeight',
+  'markerUnits',
+  'refX',
+  'refY',
+  'orient',
+  // Presentation
+  'fill',
+  'fillOpacity',
+  'fillRule',
+  'stroke',
+  'strokeWidth',
+  'strokeOpacity',
+  'strokeLineCap',
+  'strokeLineJoin',
+  'strokeDashArray',
+  'strokeDashOffset',
+  'strokeMiterLimit',
+  'opacity',
+  'color',
+  'stopColor',
+  'stopOpacity',
+  'clipPath',
+  'clipRule',
+  'mask',
+  'markerStart',
+  'markerMid',
+  'markerEnd',
+  'fontFamily',
+  'fontSize',
+  'fontWeight',
+  'fontStyle',
+  'fontVariant',
+  'fontStretch',
+  'textAnchor',
+  'dominantBaseline',
+  'alignmentBaseline',
+  'baselineShift',
+  'letterSpacing',
+  'wordSpacing',
+  'textDecoration',
+  'writingMode',
+  'direction',
+  'display',
+  'visibility',
+  'overflow',
+  'paintOrder',
+  'vectorEffect',
+  'shapeRendering',
+  'textRendering',
+  'colorInterpolation',
+])
+
+const unitsInPx: Record<string, number> = {
+  '': 1,
+  px: 1,
+  pt: 4 / 3,
+  pc: 16,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+}
+
+function normalizeColor(value: string) {
+  const color = value.trim().toLowerCase()
+  if (namedColors[color]) {
+    return namedColors[color]
+  }
+  return /^#[0-9a-f]{3}$/.test(color)
+    ? `#${[...color.slice(1)].map((c) => c + c).join('')}`
+    : color
+}
+
+function toPx(length: unknown) {
+  const match = /^\s*([\d.]+)\s*([a-z]*)\s*$/.exec(String(length ?? ''))
+  const unit = match && unitsInPx[match[2]]
+  return unit ? Number(match[1]) * unit : null
+}
+
+function parseStyle(style: unknown) {
+  return String(style ?? '')
+    .split(';')
+    .map((declaration) => declaration.split(':'))
+    .filter(([name, value]) => name.trim() && value !== undefined)
+    .map(([name, ...value]) => [name.trim(), value.join(':').trim()])
+}
+
+function setStyle(node: any, name: string, value: string) {
+  const declarations = parseStyle(node.properties.style).filter(
+    ([n]) => n !== name,
+  )
+  declarations.push([name, value])
+  node.properties.style = declarations.map((d) => d.join(': ')).join('; ')
+}
+
+// Only references within the SVG or to this site. Browsers ignore ASCII
+// whitespace and control characters in a scheme (`java\tscript:`) and read
+// `\` as `/`, so the check runs on what they would see.
+function isSafeHref(value: unknown) {
+  const url = [...String(value ?? '')]
+    .filter((char) => char > ' ' && char !== '\u007f')
+    .join('')
+    .replaceAll('\\', '/')
+  return (
+    url.startsWith('#') || (!url.startsWith('//') && !/^[^/?#]*:/.test(url))
+  )
+}
+
+// url() may only point at something in the SVG, like url(#gradient).
+// Escapes could spell anything, so values with a backslash go too.
+function isSafeValue(value: unknown) {
+  const text = String(value ?? '')
+  return (
+    !text.includes('\\') &&
+    [...text.matchAll(/url\(\s*(['"]?)([^)]*)/gi)].every(([, , url]) =>
+      url.trim().startsWith('#'),
+    )
+  )
+}
+
+// Parses an SVG file into a hast <svg> element that is safe to inline and
+// follows the theme. Throws when there is no <svg> in it.
+export function processSvg(
+  source: string,
+  { alt, width, palette = defaultPalette }: SvgOptions = {},
+) {
+  const colors = new Map(
+    Object.entries(palette).map(([color, name]) => [
+      normalizeColor(color),
+      `var(${name})`,
+    ]),
+  )
+  const recolor = (value: string) => colors.get(normalizeColor(value))
+
+  let svg: any = null
+  visit(fromHtml(source, { fragment: true }), 'element', (node: any) => {
+    if (node.tagName === 'svg') {
+      svg = node
+      return SKIP
+    }
+  })
+  if (!svg) {
+    throw new Error('no <svg> element found')
+  }
+
+  visit(svg, (node: any, index: number, parent: any) => {
+    if (
+      node.type === 'comment' ||
+      (node.type === 'element' && !allowedElements.has(node.tagName))
+    ) {
+      parent.children.splice(index, 1)
+      return [SKIP, index]
+    }
+    if (node.type !== 'element') {
+      return
+    }
+    const { properties } = node
+    for (const name of Object.keys(properties)) {
+      const value = properties[name]
+      if (
+        !allowedProperties.has(name) ||
+        ((name === 'href' || name === 'xLinkHref') && !isSafeHref(value)) ||
+        (name !== 'style' && !isSafeValue(value))
+      ) {
+        properties[name] = undefined
+      }
+    }
+    // A var() only works in CSS, so mapped attributes move to `style`.
+    for (const [name, css] of Object.entries(colorProperties)) {
+      const variable = name in properties && recolor(String(properties[name]))
+      if (variable) {
+        properties[name] = undefined
+        setStyle(node, css, variable)
+      }
+    }
+    if (properties.style) {
+      node.properties.style = parseStyle(properties.style)
+        .filter(([, value]) => isSafeValue(value))
+        .map(([name, value]) => `${name}: ${recolor(value) ?? value}`)
+        .join('; ')
+    }
+  })
+
+  // Scale with the column: the viewBox keeps the drawing's proportions once
+  // width and height give way to CSS.
+  const { properties } = svg
+  const ownWidth = toPx(properties.width)
+  const ownHeight = toPx(properties.height)
+  if (!properties.viewBox && ownWidth && ownHeight) {
+    properties.viewBox = `0 0 ${ownWidth} ${ownHeight}`
+  }
+  const viewBoxWidth = Number(
+    String(properties.viewBox ?? '').split(/[\s,]+/)[2],
+  )
+  const maxWidth =
+    width ??
+    (ownWidth || viewBoxWidth ? `${ownWidth || viewBoxWidth}px` : '100%')
+  properties.width = undefined
+  properties.height = undefined
+  setStyle(svg, 'width', '100%')
+  setStyle(svg, 'max-width', maxWidth)
+  setStyle(svg, 'height', 'auto')
+
+  if (alt) {
+    properties.role = 'img'
+    properties.ariaLabel = alt
+    svg.children = svg.children.filter(
+      (child: any) => child.tagName !== 'title',
+    )
+    svg.children.unshift({
+      type: 'element',
+      tagName: 'title',
+      properties: {},
+      children: [{ type: 'text', value: alt }],
+    })
+  } else {
+    properties.ariaHidden = 'true'
+  }
+  return svg
+}
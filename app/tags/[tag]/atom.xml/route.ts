@@ -0,0 +1,14 @@
+import { generateFeed } from '../../../posts'
+
+export const dynamic = 'force-static'
+
+export async function GET(
+  _request: Request,
+  { params }: { params: Promise<{ tag: string }> },
+) {
+  const { tag } = await params
+  const feed = await generateFeed({ tag })
+  return new Response(feed.atom1())
+}
+
+export { generateStaticParams } from '../page'
@@ -0,0 +1,56 @@
+import PostList from '../../PostList'
+import TextLink from '../../TextLink'
+import { sans } from '../../fonts'
+import { getTags } from '../../posts'
+
+export default async function TagPage({
+  params,
+}: {
+  params: Promise<{ tag: string }>
+}) {
+  const { tag } = await params
+  const tags = await getTags()
+  return (
+    <>
+      <h1
+        className={[
+          sans.className,
+          'text-[40px] font-black leading-[44px] text-[--title]',
+        ].join(' ')}
+      >
+        #{tag}
+      </h1>
+      <p className="mt-2 mb-12 text-[13px] text-gray-700 dark:text-gray-300">
+        <TextLink href="/tags/">All tags</TextLink>
+        &nbsp;&nbsp;&middot;&nbsp;&nbsp;
+        <TextLink href={`/tags/${tag}/atom.xml`}>Atom</TextLink>
+        &nbsp;&nbsp;&middot;&nbsp;&nbsp;
+        <TextLink href={`/tags/${tag}/rss.xml`}>RSS</TextLink>
+      </p>
+      <PostList posts={tags.get(tag) ?? []} />
+    </>
+  )
+}
+
+export async function generateStaticParams() {
+  const tags = await getTags()
+  return [...tags.keys()].map((tag) => ({ tag }))
+}
+
+export async function generateMetadata({
+  params,
+}: {
+  params: Promise<{ tag: string }>
+}) {
+  const { tag } = await params
+  return {
+    title: `#${tag} — refactored`,
+    description: `Posts tagged ${tag} on refactored`,
+    alternates: {
+      types: {
+        'application/atom+xml': `https://sulhadin.com/tags/${tag}/atom.xml`,
+        'application/rss+xml': `https://sulhadin.com/tags/${tag}/rss.xml`,
+      },
+    },
+  }
+}
@@ -0,0 +1,39 @@
+import Link from '../Link'
+import { sans } from '../fonts'
+import { getTags } from '../posts'
+
+export const metadata = {
+  title: 'Tags — refactored',
+  description: 'All topics on refactored',
+}
+
+export default async function TagsPage() {
+  const tags = await getTags()
+  return (
+    <article>
+      <h1
+        className={[
+          sans.className,
+          'text-[40px] font-black leading-[44px] text-[--title]',
+        ].join(' ')}
+      >
+        Tags
+      </h1>
+      <ul className="mt-12 flex flex-wrap gap-x-6 gap-y-4">
+        {[...tags].map(([tag, posts]) => (
+          <li key={tag}>
+            <Link
+              href={`/tags/${tag}/`}
+              className="inline-block text-[--link] hover:scale-[1.02]"
+            >
+              #{tag}
+            </Link>{' '}
+            <span className="text-[13px] text-gray-700 dark:text-gray-300">
+              ({posts.length})
+            </span>
+          </li>
+        ))}
+      </ul>
+    </article>
+  )
+}
@@ -0,0 +1,19 @@
+// The reader's pick from ThemeToggle, kept in localStorage. Without one the
+// site follows the system color scheme.
+export type Theme = 'light' | 'dark'
+
+export const themeStorageKey = 'theme'
+
+export function parseTheme(value: unknown): Theme | null {
+  return value === 'light' || value === 'dark' ? value : null
+}
+
+// Runs in <head> before the body paints, so a picked theme never flashes the
+// system one first. Storage can throw (blocked cookies), then we follow the
+// system.
+export const themeScript = `try {
+  var theme = localStorage.getItem(${JSON.stringify(themeStorageKey)})
+  if (theme === 'light' || theme === 'dark') {
+    document.documentElement.dataset.theme = theme
+  }
+} catch (e) {}`
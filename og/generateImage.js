@@ -1,6 +1,7 @@
-import { readFile } from 'node:fs/promises'
+import { access, readFile } from 'node:fs/promises'
 import { join } from 'node:path'
 import { ImageResponse } from 'next/og'
+import sharp from 'sharp'
 
 export const size = {
   width: 1200,
@@ -53,7 +54,7 @@ export async function generateHomeImage() {
           by
           <img
             alt="Sulhadin Öney"
-            src="https://github.com/sulhadin.png"
+            src={await avatar}
             style={{
               height: 120,
               width: 120,
@@ -67,76 +68,214 @@ export async function generateHomeImage() {
   )
 }
 
-export async function generatePostImage({ title }) {
+export async function generatePostImage({
+  slug,
+  title,
+  spoiler,
+  date,
+  readingTime,
+  tags,
+  locale = 'en',
+}) {
+  const banner = await getBanner(slug)
+  const titleSize = getTitleFontSize(title)
   return generateImage(
     <div
       style={{
-        padding: 40,
         display: 'flex',
-        flexDirection: 'column',
         width: '100%',
         height: '100%',
         backgroundColor: 'rgb(40, 44, 53)',
         color: 'white',
       }}
     >
+      {banner && (
+        <img
+          alt=""
+          src={banner}
+          style={{
+            position: 'absolute',
+            top: 0,
+            left: 0,
+            width: '100%',
+            height: '100%',
+          }}
+        />
+      )}
       <div
         style={{
+          padding: 40,
           display: 'flex',
-          fontSize: 40,
+          flexDirection: 'column',
           width: '100%',
-          justifyContent: 'space-between',
-          alignItems: 'center',
-          paddingBottom: 20,
+          height: '100%',
+          // Keeps the text readable on top of a banner.
+          ...(banner && {
+            backgroundImage:
+              'linear-gradient(rgba(40, 44, 53, 0.55), rgba(40, 44, 53, 0.95))',
+          }),
         }}
       >
-        <span
+        <div
           style={{
-            backgroundImage: 'linear-gradient(45deg, #ffb3d8, #cbb6ff)',
-            backgroundClip: 'text',
-            WebkitBackgroundClip: 'text',
-            color: 'transparent',
-            fontSize: 60,
+            display: 'flex',
+            fontSize: 40,
+            width: '100%',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            paddingBottom: 20,
           }}
         >
-          refactored
-        </span>
-        <span
+          <span
+            style={{
+              backgroundImage: 'linear-gradient(45deg, #ffb3d8, #cbb6ff)',
+              backgroundClip: 'text',
+              WebkitBackgroundClip: 'text',
+              color: 'transparent',
+              fontSize: 60,
+            }}
+          >
+            refactored
+          </span>
+          <span
+            style={{
+              fontFamily: 'Merriweather',
+              fontStyle: 'italic',
+              fontSize: 35,
+              alignItems: 'center',
+            }}
+          >
+            by
+            <img
+              alt="Sulhadin Öney"
+              src={await avatar}
+              style={{
+                height: 80,
+                width: 80,
+                borderRadius: '50%',
+                marginLeft: 20,
+              }}
+            />
+          </span>
+        </div>
+        <div
           style={{
-            fontFamily: 'Merriweather',
-            fontStyle: 'italic',
-            fontSize: 35,
-            alignItems: 'center',
+            display: 'flex',
+            flexDirection: 'column',
+            justifyContent: 'center',
+            flex: 1,
+            gap: 24,
           }}
         >
-          by
-          <img
-            alt="Sulhadin Öney"
-            src="https://github.com/sulhadin.png"
+          <div style={{ fontSize: titleSize, lineHeight: titleLineHeight }}>
+            {title}
+          </div>
+          <div
             style={{
-              height: 80,
-              width: 80,
-              borderRadius: '50%',
-              marginLeft: 20,
+              fontFamily: 'Merriweather',
+              fontStyle: 'italic',
+              fontSize: 32,
+              lineHeight: 1.4,
+              opacity: 0.85,
             }}
-          />
-        </span>
-      </div>
-      <div
-        style={{
-          fontSize: 90,
-          display: 'flex',
-          alignItems: 'center',
-          flex: 1,
-          paddingBottom: 30,
-        }}
-      >
-        {title}
+          >
+            {truncate(spoiler, 120)}
+          </div>
+        </div>
+        <div
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: 16,
+            fontFamily: 'Merriweather',
+            fontSize: 26,
+            opacity: 0.85,
+          }}
+        >
+          <span>
+            {new Date(date).toLocaleDateString(locale, {
+              day: 'numeric',
+              month: 'long',
+              year: 'numeric',
+            })}
+          </span>
+          <span>·</span>
+          <span>{readingTime} min read</span>
+          {tags.slice(0, 3).map((tag) => (
+            <span
+              key={tag}
+              style={{
+                padding: '4px 16px',
+                borderRadius: 999,
+                backgroundColor: 'rgba(255, 255, 255, 0.12)',
+              }}
+            >
+              #{tag}
+            </span>
+          ))}
+        </div>
       </div>
     </div>,
   )
 }
 
+// Satori won't shrink text to fit, so the title size is worked out from a
+// rough word wrap: the largest size whose lines fit the space left between
+// the header and the spoiler.
+const titleWidth = 1120
+const titleHeight = 300
+const titleLineHeight = 1.1
+// Average Montserrat ExtraBold glyph width, in ems.
+const averageCharWidth = 0.62
+
+function getTitleFontSize(title) {
+  for (let fontSize = 90; fontSize > 40; fontSize -= 4) {
+    const charsPerLine = titleWidth / (fontSize * averageCharWidth)
+    const maxLines = Math.floor(titleHeight / (fontSize * titleLineHeight))
+    if (countLines(title, charsPerLine) <= maxLines) {
+      return fontSize
+    }
+  }
+  return 40
+}
+
+function countLines(text, charsPerLine) {
+  let lines = 1
+  let length = 0
+  for (const word of text.split(/\s+/)) {
+    if (length > 0 && length + 1 + word.length > charsPerLine) {
+      lines++
+      length = word.length
+    } else {
+      length += (length > 0 ? 1 : 0) + word.length
+    }
+  }
+  return lines
+}
+
+function truncate(text, length) {
+  return text.length > length
+    ? `${text.slice(0, length).replace(/\s+\S*$/, '')}…`
+    : text
+}
+
+// Images are read from disk, so the build works offline. Satori can't decode
+// WebP, everything goes in as JPEG.
+async function toDataUrl(path, resize) {
+  const jpeg = await sharp(path).resize(resize).jpeg({ quality: 80 }).toBuffer()
+  return `data:image/jpeg;base64,${jpeg.toString('base64')}`
+}
+
+async function getBanner(slug) {
+  const path = join(process.cwd(), 'public', slug, 'banner.webp')
+  try {
+    await access(path)
+  } catch {
+    return null
+  }
+  return toDataUrl(path, { ...size, fit: 'cover' })
+}
+
 async function generateImage(jsx) {
   return new ImageResponse(jsx, {
     ...size,
@@ -172,3 +311,7 @@ const merriweatherRegular = readFile(
 const merriweatherItalic = readFile(
   join(process.cwd(), 'og/Merriweather-Italic.ttf'),
 )
+const avatar = toDataUrl(join(process.cwd(), 'public/avi.jpg'), {
+  width: 240,
+  height: 240,
+})
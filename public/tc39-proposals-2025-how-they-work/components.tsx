@@ -0,0 +1,767 @@
+'use client'
+
+import { useState } from 'react'
+import {
+  Demo,
+  DemoButton,
+  DemoButtons,
+  DemoLog,
+  DemoResult,
+  usePolyfill,
+  useStepRunner,
+} from '../../app/Demo'
+import type { ComponentsDeclaration } from '../../app/postComponents'
+
+export const mdx = {
+  components: [
+    'ArrayFromAsyncDemo',
+    'RegExpEscapeDemo',
+    'ErrorIsErrorDemo',
+    'UsingDeclarationsDemo',
+    'Float16ArrayDemo',
+  ],
+} satisfies ComponentsDeclaration
+
+declare global {
+  interface RegExpConstructor {
+    escape(string: string): string
+  }
+}
+
+const input =
+  'w-full rounded-lg border border-gray-300 dark:border-gray-600 bg-transparent px-3 py-1.5 text-sm'
+const label = 'mb-1 block text-sm font-semibold'
+const code = 'rounded bg-[--inlineCode-bg] px-1'
+
+function Notes({
+  title,
+  children,
+}: {
+  title: string
+  children: React.ReactNode
+}) {
+  return (
+    <div className="text-sm">
+      <div className="mb-1 font-bold">{title}</div>
+      <ul className="list-disc pl-5 opacity-80">{children}</ul>
+    </div>
+  )
+}
+
+// 1. Array.fromAsync
+
+async function arrayFromAsync<T, U>(
+  asyncIterable: AsyncIterable<T>,
+  mapFn?: (value: T, index: number) => U,
+  thisArg?: unknown,
+) {
+  const result = []
+  let index = 0
+  for await (const value of asyncIterable) {
+    result[index] = mapFn ? await mapFn.call(thisArg, value, index) : value
+    index++
+  }
+  return result
+}
+
+export function ArrayFromAsyncDemo() {
+  const support = usePolyfill(Array, 'fromAsync', arrayFromAsync)
+  const { entries, isRunning, run } = useStepRunner({ delay: 800 })
+  const [result, setResult] = useState<number[] | null>(null)
+
+  const start = (message: string, mapFn?: (n: number) => number) =>
+    run(async ({ step, log }) => {
+      setResult(null)
+      log(message)
+      async function* countdown(from: number) {
+        for (let i = from; i > 0; i--) {
+          await step()
+          log(`Yielding: ${i}`)
+          yield i
+        }
+      }
+      const numbers = await Array.fromAsync(countdown(5), mapFn)
+      log(`Completed! Result: [${numbers.join(', ')}]`, 'success')
+      setResult(numbers)
+    })
+
+  return (
+    <Demo
+      title="Array.fromAsync() Interactive Demo"
+      description="Watch how Array.fromAsync() collects values from an async iterator in real-time"
+      features={{ 'Array.fromAsync': support }}
+    >
+      <DemoButtons>
+        <DemoButton
+          disabled={isRunning}
+          onClick={() => start('Starting countdown...')}
+        >
+          {isRunning ? 'Running...' : 'Run Basic Demo'}
+        </DemoButton>
+        <DemoButton
+          variant="secondary"
+          disabled={isRunning}
+          onClick={() =>
+            start('Starting countdown with mapping (x2)...', (n) => n * 2)
+          }
+        >
+          Run with Mapping (x2)
+        </DemoButton>
+      </DemoButtons>
+      <DemoLog entries={entries} />
+      {result && (
+        <DemoResult label="✅ Final Result:" tone="success">
+          <span className="font-mono">[{result.join(', ')}]</span>
+        </DemoResult>
+      )}
+      <Notes title="How it works:">
+        <li>
+          Creates an async generator that yields numbers with 800ms delays
+        </li>
+        <li>Array.fromAsync() awaits each value as it's yielded</li>
+        <li>Optionally applies a mapping function to each value</li>
+        <li>Returns a complete array once iteration finishes</li>
+      </Notes>
+    </Demo>
+  )
+}
+
+// 2. RegExp.escape
+
+function regExpEscape(string) {
+  return string
+    .replace(/[\\^$.*+?()[\]{}|]/g, '\\$&')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\//g, '\\/')
+}
+
+function tryMatch(text, search, useEscape) {
+  try {
+    const regex = new RegExp(useEscape ? RegExp.escape(search) : search, 'gi')
+    const matches = text.match(regex) ?? []
+    return {
+      success: true,
+      matches,
+      highlighted: text.replace(regex, (match) => `✨${match}✨`),
+    }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+const presets = [
+  { search: '$49.99', text: 'The price is $49.99 today' },
+  { search: 'user@example.com', text: 'Email: user@example.com' },
+  { search: '(a + b)', text: 'Formula: (a + b) * c' },
+  { search: 'C:\\Users', text: 'Path: C:\\Users\\Documents' },
+  { search: '[1, 2, 3]', text: 'Array: [1, 2, 3]' },
+]
+
+export function RegExpEscapeDemo() {
+  const support = usePolyfill(RegExp, 'escape', regExpEscape)
+  const [searchText, setSearchText] = useState('$49.99')
+  const [targetText, setTargetText] = useState(
+    'The price is $49.99 for the item',
+  )
+  const [results, setResults] = useState(null)
+
+  const testSearch = () => {
+    setResults({
+      without: tryMatch(targetText, searchText, false),
+      with: tryMatch(targetText, searchText, true),
+      escaped: RegExp.escape(searchText),
+    })
+  }
+
+  return (
+    <Demo
+      title="RegExp.escape() Interactive Demo"
+      description="See how special regex characters break searches without escaping"
+      features={{ 'RegExp.escape': support }}
+    >
+      <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+        <label>
+          <span className={label}>Search Term</span>
+          <input
+            type="text"
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+            placeholder="Enter search term..."
+            className={input}
+          />
+        </label>
+        <label>
+          <span className={label}>Text to Search In</span>
+          <input
+            type="text"
+            value={targetText}
+            onChange={(e) => setTargetText(e.target.value)}
+            placeholder="Enter target text..."
+            className={input}
+          />
+        </label>
+      </div>
+      <div>
+        <div className={label}>Quick Presets:</div>
+        <DemoButtons>
+          {presets.map((preset) => (
+            <DemoButton
+              key={preset.search}
+              variant="secondary"
+              className="font-mono !text-xs"
+              onClick={() => {
+                setSearchText(preset.search)
+                setTargetText(preset.text)
+                setResults(null)
+              }}
+            >
+              {preset.search}
+            </DemoButton>
+          ))}
+        </DemoButtons>
+      </div>
+      <DemoButton onClick={testSearch}>Test Search</DemoButton>
+      {results && (
+        <>
+          <DemoResult
+            label={`${results.without.success ? '⚠️' : '❌'} Without RegExp.escape()`}
+            tone={results.without.success ? 'warning' : 'error'}
+          >
+            {results.without.success ? (
+              <>
+                <div className="text-sm opacity-70">
+                  Matches found: {results.without.matches.length}
+                </div>
+                <div className="font-mono text-sm">
+                  {results.without.highlighted}
+                </div>
+              </>
+            ) : (
+              <div className="font-mono text-sm">
+                💥 Error: {results.without.error}
+              </div>
+            )}
+          </DemoResult>
+          <DemoResult label="✅ With RegExp.escape()" tone="success">
+            <div className="text-sm opacity-70">
+              Matches found: {results.with.matches.length}
+            </div>
+            <div className="font-mono text-sm">{results.with.highlighted}</div>
+            <div className="mt-2 text-sm opacity-70">Escaped pattern:</div>
+            <div className="font-mono text-sm">{results.escaped}</div>
+          </DemoResult>
+        </>
+      )}
+      <Notes title="Characters that need escaping:">
+        <li className="font-mono">^ $ \ . * + ? ( ) [ ] {'{}'} |</li>
+        <li>
+          Without escaping, these are interpreted as regex special characters
+          and will cause errors or unexpected matches.
+        </li>
+      </Notes>
+    </Demo>
+  )
+}
+
+// 3. Error.isError
+
+function errorIsError(value) {
+  return (
+    value instanceof Error ||
+    value?.constructor?.name === 'Error' ||
+    Object.prototype.toString.call(value) === '[object Error]'
+  )
+}
+
+const errorTests = [
+  { name: 'Regular Error', value: () => new Error('test'), expect: true },
+  { name: 'TypeError', value: () => new TypeError('test'), expect: true },
+  { name: 'RangeError', value: () => new RangeError('test'), expect: true },
+  {
+    name: 'Object.create(Error.prototype)',
+    value: () => Object.create(Error.prototype),
+    expect: true,
+  },
+  {
+    name: 'Plain object',
+    value: () => ({ message: 'error', stack: 'fake' }),
+    expect: false,
+  },
+  {
+    name: 'Error-like object',
+    value: () => ({ name: 'Error', message: 'test' }),
+    expect: false,
+  },
+  { name: 'String', value: () => 'Error: something', expect: false },
+  { name: 'Null', value: () => null, expect: false },
+  { name: 'Undefined', value: () => undefined, expect: false },
+]
+
+function Check({ ok, children }) {
+  return (
+    <span className={ok ? 'text-green-600 dark:text-green-400' : 'opacity-60'}>
+      {ok ? '✅' : '❌'} {children}
+    </span>
+  )
+}
+
+export function ErrorIsErrorDemo() {
+  const support = usePolyfill(Error, 'isError', errorIsError)
+  const [testResults, setTestResults] = useState(null)
+  const [crossRealm, setCrossRealm] = useState(null)
+
+  const runTests = () => {
+    setTestResults(
+      errorTests.map((test) => {
+        const value = test.value()
+        const isError = Error.isError(value)
+        const isInstance = value instanceof Error
+        return {
+          name: test.name,
+          isError,
+          isInstance,
+          correct: isError === test.expect,
+          differs: isError !== isInstance,
+        }
+      }),
+    )
+  }
+
+  const testCrossRealm = () => {
+    const iframe = document.createElement('iframe')
+    iframe.style.display = 'none'
+    document.body.appendChild(iframe)
+    try {
+      const IframeError: ErrorConstructor = (iframe.contentWindow as any).Error
+      const iframeError = new IframeError('From iframe')
+      setCrossRealm({
+        isError: Error.isError(iframeError),
+        isInstance: iframeError instanceof Error,
+        isIframeInstance: iframeError instanceof IframeError,
+      })
+    } catch (error) {
+      setCrossRealm({ error: error.message })
+    } finally {
+      iframe.remove()
+    }
+  }
+
+  return (
+    <Demo
+      title="Error.isError() Interactive Demo"
+      description="Test the difference between Error.isError() and instanceof Error"
+      features={{ 'Error.isError': support }}
+    >
+      <DemoButtons>
+        <DemoButton onClick={runTests}>Run Tests</DemoButton>
+        <DemoButton variant="secondary" onClick={testCrossRealm}>
+          Test Cross-Realm (iframe)
+        </DemoButton>
+      </DemoButtons>
+      {testResults && (
+        <DemoResult label="Test Results">
+          <ul className="divide-y divide-gray-300 dark:divide-gray-600">
+            {testResults.map((result) => (
+              <li key={result.name} className="py-2">
+                <div className="flex flex-row justify-between font-semibold">
+                  <span>{result.name}</span>
+                  <span>{result.correct ? '✅ Correct' : '❌ Wrong'}</span>
+                </div>
+                <div className="flex flex-row flex-wrap gap-x-4 text-sm">
+                  <Check ok={result.isError}>Error.isError()</Check>
+                  <Check ok={result.isInstance}>instanceof Error</Check>
+                  {result.differs && (
+                    <span className="font-semibold text-amber-600 dark:text-amber-400">
+                      ⚠️ Different results!
+                    </span>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </DemoResult>
+      )}
+      {crossRealm && (
+        <DemoResult label="🌐 Cross-Realm Test (iframe)">
+          {crossRealm.error ? (
+            <div className="text-red-600">Error: {crossRealm.error}</div>
+          ) : (
+            <div className="flex flex-col gap-1 text-sm">
+              <Check ok={crossRealm.isError}>Error.isError(iframeError)</Check>
+              <Check ok={crossRealm.isInstance}>
+                iframeError instanceof Error
+              </Check>
+              <Check ok={crossRealm.isIframeInstance}>
+                iframeError instanceof iframe.Error
+              </Check>
+              {!crossRealm.isInstance && crossRealm.isError && (
+                <p className="mt-2">
+                  <strong>⚠️ Cross-Realm Issue!</strong> The error is from a
+                  different realm (iframe), so{' '}
+                  <code className={code}>instanceof Error</code> returns false,
+                  but <code className={code}>Error.isError()</code> correctly
+                  identifies it as an error.
+                </p>
+              )}
+            </div>
+          )}
+        </DemoResult>
+      )}
+      <Notes title="Why Error.isError() matters:">
+        <li>
+          <code className={code}>instanceof Error</code> fails with errors from
+          iframes, workers, or Node.js vm modules
+        </li>
+        <li>
+          <code className={code}>Error.isError()</code> checks internal slots
+          instead of prototype chain
+        </li>
+        <li>Works reliably across all JavaScript realms</li>
+        <li>Correctly rejects objects that just look like errors</li>
+      </Notes>
+    </Demo>
+  )
+}
+
+// 4. using declarations, simulated with try/finally
+
+function acquire(name, log) {
+  const acquiredAt = Date.now()
+  let disposed = false
+  log(`✅ ${name} acquired`, 'success')
+  return {
+    use() {
+      if (disposed) {
+        throw new Error(`${name} already disposed!`)
+      }
+      log(`🔧 Using ${name}`)
+    },
+    [Symbol.dispose]() {
+      if (!disposed) {
+        disposed = true
+        log(`❌ ${name} disposed after ${Date.now() - acquiredAt}ms`, 'warning')
+      }
+    },
+  }
+}
+
+async function basicUsage({ step, log }) {
+  await step('Starting basic demo...')
+  const resource = acquire('File Handle', log)
+  try {
+    await step()
+    resource.use()
+    await step()
+    await step('Processing data...')
+  } finally {
+    resource[Symbol.dispose]()
+  }
+  await step()
+  log('✨ Demo complete!', 'success')
+}
+
+async function withError({ step, log }) {
+  await step('Starting error handling demo...')
+  const resource = acquire('Database Connection', log)
+  try {
+    await step()
+    resource.use()
+    await step()
+    await step('⚠️  Simulating error...', 'warning')
+    throw new Error('Something went wrong!')
+  } catch (error) {
+    log(`💥 Caught error: ${error.message}`, 'error')
+  } finally {
+    await step()
+    resource[Symbol.dispose]()
+    log('Resource cleaned up despite error!', 'success')
+  }
+  await step()
+  log('✨ Demo complete!', 'success')
+}
+
+async function multipleResources({ step, log }) {
+  await step('Starting multiple resources demo...')
+  const resources = []
+  for (const name of [
+    'Database',
+    'Cache (depends on DB)',
+    'Session (depends on Cache)',
+  ]) {
+    resources.push(acquire(name, log))
+    await step()
+  }
+  try {
+    for (const resource of resources) {
+      resource.use()
+      await step()
+    }
+    await step('All resources in use...')
+  } finally {
+    await step('Disposing in REVERSE order...', 'warning')
+    while (resources.length > 0) {
+      resources.pop()[Symbol.dispose]()
+      await step()
+    }
+  }
+  log('✨ Demo complete!', 'success')
+}
+
+export function UsingDeclarationsDemo() {
+  const support = usePolyfill(Symbol, 'dispose', Symbol.for('Symbol.dispose'))
+  const { entries, isRunning, run } = useStepRunner()
+
+  return (
+    <Demo
+      title="Using Declarations Interactive Demo"
+      description={
+        <>
+          Watch automatic resource cleanup in action (simulating the{' '}
+          <code className={code}>using</code> keyword)
+        </>
+      }
+      features={{ 'Symbol.dispose': support }}
+    >
+      <DemoButtons>
+        <DemoButton disabled={isRunning} onClick={() => run(basicUsage)}>
+          Basic Usage
+        </DemoButton>
+        <DemoButton
+          variant="secondary"
+          disabled={isRunning}
+          onClick={() => run(withError)}
+        >
+          Error Handling
+        </DemoButton>
+        <DemoButton
+          variant="secondary"
+          disabled={isRunning}
+          onClick={() => run(multipleResources)}
+        >
+          Multiple Resources
+        </DemoButton>
+      </DemoButtons>
+      <DemoLog entries={entries} title="Resource Lifecycle:" />
+      <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+        <DemoResult label="❌ Without using:">
+          <pre className="overflow-x-auto font-mono text-xs leading-5">
+            {`const resource = acquire();
+try {
+  resource.use();
+} finally {
+  resource.dispose(); // Manual!
+}`}
+          </pre>
+        </DemoResult>
+        <DemoResult label="✅ With using:" tone="success">
+          <pre className="overflow-x-auto font-mono text-xs leading-5">
+            {`using resource = acquire();
+resource.use();
+// Automatic cleanup!`}
+          </pre>
+        </DemoResult>
+      </div>
+      <Notes title="Key Features:">
+        <li>Resources are disposed automatically when leaving scope</li>
+        <li>Works even if errors are thrown</li>
+        <li>
+          Multiple resources dispose in <strong>reverse order</strong>
+        </li>
+        <li>
+          Implements <code className={code}>Symbol.dispose</code> or{' '}
+          <code className={code}>Symbol.asyncDispose</code>
+        </li>
+      </Notes>
+    </Demo>
+  )
+}
+
+// 5. Float16Array
+
+// Simplified approximation - the real rounding is more involved.
+function f16round(x) {
+  const float32 = new Float32Array([x])[0]
+  return Math.round(float32 * 2048) / 2048
+}
+
+const presetValues = [
+  { name: 'π (Pi)', value: Math.PI },
+  { name: 'Small number', value: 0.00001 },
+  { name: 'Large number', value: 999.999 },
+  { name: 'E (Euler)', value: Math.E },
+]
+
+function formatError(error) {
+  return error < 0.001 ? '<0.001%' : `${error.toFixed(4)}%`
+}
+
+function Bar({ name, color, percent, text, note }) {
+  return (
+    <div className="flex flex-row items-center gap-3 text-sm">
+      <div className="w-28 font-semibold">{name}</div>
+      <div className="h-6 flex-1 overflow-hidden rounded-full bg-gray-500/15">
+        <div
+          className={`flex h-full items-center justify-end pr-2 text-xs font-semibold text-white ${color}`}
+          style={{ width: `${percent}%` }}
+        >
+          {text}
+        </div>
+      </div>
+      <div className="w-20 text-right font-semibold">{note}</div>
+    </div>
+  )
+}
+
+export function Float16ArrayDemo() {
+  const support = usePolyfill(Math, 'f16round', f16round)
+  const [testValue, setTestValue] = useState(3.141592653)
+  const [arraySize, setArraySize] = useState(1000)
+  const [results, setResults] = useState(null)
+
+  const runComparison = () => {
+    const float16 = Math.f16round(testValue)
+    const float32 = new Float32Array([testValue])[0]
+    setResults({
+      original: testValue,
+      rows: [
+        {
+          name: 'Float16',
+          value: float16,
+          error: (Math.abs(float16 - testValue) / testValue) * 100,
+          color: 'bg-orange-500',
+        },
+        {
+          name: 'Float32',
+          value: float32,
+          error: (Math.abs(float32 - testValue) / testValue) * 100,
+          color: 'bg-blue-500',
+        },
+        { name: 'Float64', value: testValue, error: 0, color: 'bg-green-500' },
+      ],
+    })
+  }
+
+  const kb = (bytesPerItem) => ((arraySize * bytesPerItem) / 1024).toFixed(2)
+
+  return (
+    <Demo
+      title="Float16Array Interactive Demo"
+      description="Compare precision and memory usage of different float types"
+      features={{ 'Math.f16round': support }}
+    >
+      <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+        <div>
+          <label>
+            <span className={label}>Test Value</span>
+            <input
+              type="number"
+              step="any"
+              value={testValue}
+              onChange={(e) =>
+                setTestValue(Number.parseFloat(e.target.value) || 0)
+              }
+              className={input}
+            />
+          </label>
+          <div className="mt-2">
+            <DemoButtons>
+              {presetValues.map((preset) => (
+                <DemoButton
+                  key={preset.name}
+                  variant="secondary"
+                  className="!text-xs"
+                  onClick={() => setTestValue(preset.value)}
+                >
+                  {preset.name}
+                </DemoButton>
+              ))}
+            </DemoButtons>
+          </div>
+        </div>
+        <label>
+          <span className={label}>Array Size (for memory comparison)</span>
+          <input
+            type="number"
+            value={arraySize}
+            onChange={(e) =>
+              setArraySize(Number.parseInt(e.target.value) || 1000)
+            }
+            className={input}
+          />
+        </label>
+      </div>
+      <DemoButton onClick={runComparison}>Compare Float Types</DemoButton>
+      {results && (
+        <DemoResult label="Precision Comparison">
+          <div className="text-sm opacity-70">Original Value</div>
+          <div className="mb-2 font-mono">{results.original}</div>
+          <div className="flex flex-col gap-2">
+            {results.rows.map((row) => (
+              <div key={row.name}>
+                <div className="flex flex-row justify-between text-sm">
+                  <span className="font-semibold">{row.name}</span>
+                  <span>
+                    Error: {row.error ? formatError(row.error) : '0%'}
+                  </span>
+                </div>
+                <div className="font-mono">{row.value}</div>
+                <div className="mt-1 h-2 overflow-hidden rounded-full bg-gray-500/15">
+                  <div
+                    className={`h-full ${row.color}`}
+                    style={{ width: `${Math.min(row.error * 1000, 100)}%` }}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        </DemoResult>
+      )}
+      <DemoResult
+        label={`Memory Usage (for ${arraySize.toLocaleString()} numbers)`}
+      >
+        <div className="flex flex-col gap-2">
+          <Bar
+            name="Float16Array"
+            color="bg-orange-500"
+            percent={25}
+            text={`${kb(2)} KB`}
+            note="-75.0%"
+          />
+          <Bar
+            name="Float32Array"
+            color="bg-blue-500"
+            percent={50}
+            text={`${kb(4)} KB`}
+            note="-50.0%"
+          />
+          <Bar
+            name="Float64Array"
+            color="bg-gray-500"
+            percent={100}
+            text={`${kb(8)} KB`}
+            note="baseline"
+          />
+        </div>
+      </DemoResult>
+      <Notes title="Use Cases:">
+        <li>
+          <strong>ML/AI:</strong> Model weights where high precision isn't
+          critical (50% memory savings)
+        </li>
+        <li>
+          <strong>GPU:</strong> Texture data and graphics where 16-bit is
+          sufficient
+        </li>
+        <li>
+          <strong>Audio:</strong> Signal processing where storage matters more
+          than precision
+        </li>
+        <li>
+          <strong>IoT:</strong> Sensor data transmission where bandwidth is
+          limited
+        </li>
+      </Notes>
+    </Demo>
+  )
+}
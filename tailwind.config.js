@@ -1,6 +1,16 @@
 /** @type {import('tailwindcss').Config} */
 module.exports = {
   content: ['./{app,public}/**/*.{js,ts,jsx,tsx,md,mdx}'],
+  // Dark follows the system unless <html data-theme> says otherwise (see
+  // ThemeToggle). The selectors include the root itself so global.css can
+  // @apply dark: on :root.
+  darkMode: [
+    'variant',
+    [
+      '@media (prefers-color-scheme: dark) { &:not([data-theme=light], [data-theme=light] *) }',
+      '&:is([data-theme=dark], [data-theme=dark] *)',
+    ],
+  ],
   theme: {
     extend: {
       colors: {},